@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+// wm-grid-from-geojson.mjs
+// Generates a dot layout ([{x,y,r}, ...], the format initRipple consumes)
+// from GeoJSON land/country polygons. With --region each dot also gets the
+// region id of the feature it falls in, and the output becomes
+// { points: [{x,y,r,region}, ...], regions: { [id]: { name } } }.
+//
+// Usage:
+//   node wm-grid-from-geojson.mjs <land.geojson> <out.json|out.wmp> [options]
+//
+// Options:
+//   --projection <name>   equirectangular (default) | mercator | miller |
+//                         robinson | equal-earth
+//   --width <n>           output units spanned by the full world width (4100)
+//   --spacing <n>         dot spacing along a row, output units (29)
+//   --row-spacing <n>     distance between rows (spacing; hex: spacing·√3/2)
+//   --grid <style>        square (default) | hex (odd rows offset by spacing/2,
+//                         like 1mapData.json)
+//   --bbox <w,s,e,n>      only place dots inside this lon/lat box
+//                         (default: the whole world)
+//   --test <mode>         point-in-polygon rule per dot cell:
+//                         center (default) – the dot center is on land
+//                         any – the center or any cell corner is on land
+//                         all – the center and all cell corners are on land
+//   --where <key=value>   keep only features whose property matches
+//                         (repeatable, e.g. --where CONTINENT=Europe)
+//   --r <n>               `r` written on every point (8)
+//   --region <prop>       feature property used as region id (e.g. ISO_A3)
+//   --region-name <prop>  property stored as the region's name
+//                         (default: NAME, name or ADMIN, else the id)
+//
+// Output coordinates are in a fixed world frame: x = 0 at 180°W, y = 0 at the
+// top of the projection (y grows southward), scaled so the world is --width
+// wide. Cropping with --bbox keeps that frame, so layouts generated with the
+// same projection and width line up with each other.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { encodePoints } from './wm-pack-points.mjs';
+
+const DEG = Math.PI / 180;
+const MERCATOR_MAX_LAT = 85.05112878;
+
+// Robinson table: latitude every 5° → [X (parallel length), Y (distance from equator)]
+const ROBINSON = [
+  [1.0000, 0.0000], [0.9986, 0.0620], [0.9954, 0.1240], [0.9900, 0.1860],
+  [0.9822, 0.2480], [0.9730, 0.3100], [0.9600, 0.3720], [0.9427, 0.4340],
+  [0.9216, 0.4958], [0.8962, 0.5571], [0.8679, 0.6176], [0.8350, 0.6769],
+  [0.7986, 0.7346], [0.7597, 0.7903], [0.7186, 0.8435], [0.6732, 0.8936],
+  [0.6213, 0.9394], [0.5722, 0.9761], [0.5322, 1.0000],
+];
+
+function robinson(lon, lat) {
+  const a = Math.min(Math.abs(lat), 90) / 5;
+  const i = Math.min(Math.floor(a), ROBINSON.length - 2);
+  const f = a - i;
+  const X = ROBINSON[i][0] + (ROBINSON[i + 1][0] - ROBINSON[i][0]) * f;
+  const Y = ROBINSON[i][1] + (ROBINSON[i + 1][1] - ROBINSON[i][1]) * f;
+  return [0.8487 * X * lon * DEG, 1.3523 * Y * Math.sign(lat)];
+}
+
+const EE = { A1: 1.340264, A2: -0.081106, A3: 0.000893, A4: 0.003796 };
+function equalEarth(lon, lat) {
+  const { A1, A2, A3, A4 } = EE;
+  const t = Math.asin((Math.sqrt(3) / 2) * Math.sin(lat * DEG));
+  const t2 = t * t, t6 = t2 * t2 * t2;
+  const x = (2 * Math.sqrt(3) * lon * DEG * Math.cos(t)) /
+    (3 * (9 * A4 * t6 * t2 + 7 * A3 * t6 + 3 * A2 * t2 + A1));
+  const y = t * (A1 + A2 * t2 + t6 * (A3 + A4 * t2));
+  return [x, y];
+}
+
+// lon/lat (degrees) → projected [x, y] with y pointing north
+const PROJECTIONS = {
+  equirectangular: { maxLat: 90, fn: (lon, lat) => [lon * DEG, lat * DEG] },
+  mercator: {
+    maxLat: MERCATOR_MAX_LAT,
+    fn: (lon, lat) => {
+      const l = Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat));
+      return [lon * DEG, Math.log(Math.tan(Math.PI / 4 + (l * DEG) / 2))];
+    },
+  },
+  miller: {
+    maxLat: 90,
+    fn: (lon, lat) => [lon * DEG, 1.25 * Math.log(Math.tan(Math.PI / 4 + 0.4 * lat * DEG))],
+  },
+  robinson: { maxLat: 90, fn: robinson },
+  'equal-earth': { maxLat: 90, fn: equalEarth },
+};
+
+// Projection scaled into the output frame described in the header.
+export function makeProjector(name, width) {
+  const proj = PROJECTIONS[name];
+  if (!proj) throw new Error(`Unknown projection "${name}" (${Object.keys(PROJECTIONS).join(', ')})`);
+  const x0 = proj.fn(-180, 0)[0];
+  const x1 = proj.fn(180, 0)[0];
+  const yTop = proj.fn(0, proj.maxLat)[1];
+  const k = width / (x1 - x0);
+  return (lon, lat) => {
+    const [x, y] = proj.fn(lon, lat);
+    return [(x - x0) * k, (yTop - y) * k];
+  };
+}
+
+// GeoJSON → list of { rings: [[lon, lat], ...][], props } polygons
+function collectPolygons(geo, where) {
+  const out = [];
+  const matches = (props) => where.every(([k, v]) => String(props?.[k]) === v);
+  const visit = (g, props) => {
+    if (!g) return;
+    switch (g.type) {
+      case 'FeatureCollection': g.features.forEach((f) => visit(f, f.properties)); break;
+      case 'Feature': if (matches(g.properties)) visit(g.geometry, g.properties); break;
+      case 'GeometryCollection': g.geometries.forEach((c) => visit(c, props)); break;
+      case 'Polygon': out.push({ rings: g.coordinates, props }); break;
+      case 'MultiPolygon': g.coordinates.forEach((c) => out.push({ rings: c, props })); break;
+      default: break; // points/lines carry no area
+    }
+  };
+  visit(geo, null); // bare geometries have no properties to filter on
+  return out;
+}
+
+// Projects rings into output space and precomputes bounding boxes so most
+// point-in-polygon tests are rejected without walking edges.
+function prepare(polys, project) {
+  return polys.map(({ rings, props }) => {
+    const pr = rings.map((ring) => {
+      const xy = new Float64Array(ring.length * 2);
+      ring.forEach(([lon, lat], i) => {
+        const [x, y] = project(lon, lat);
+        xy[i * 2] = x;
+        xy[i * 2 + 1] = y;
+      });
+      return xy;
+    });
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < pr[0].length; i += 2) {
+      minX = Math.min(minX, pr[0][i]); maxX = Math.max(maxX, pr[0][i]);
+      minY = Math.min(minY, pr[0][i + 1]); maxY = Math.max(maxY, pr[0][i + 1]);
+    }
+    return { rings: pr, props, minX, minY, maxX, maxY };
+  });
+}
+
+// Even-odd ray casting over all rings, so holes (inner rings) are excluded.
+function inPolygon(poly, x, y) {
+  if (x < poly.minX || x > poly.maxX || y < poly.minY || y > poly.maxY) return false;
+  let inside = false;
+  for (const xy of poly.rings) {
+    const n = xy.length / 2;
+    for (let i = 0, j = n - 1; i < n; j = i++) {
+      const xi = xy[i * 2], yi = xy[i * 2 + 1];
+      const xj = xy[j * 2], yj = xy[j * 2 + 1];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// First polygon containing (x, y), or undefined over water
+const landAt = (polys, x, y) => polys.find((p) => inPolygon(p, x, y));
+
+export function generateGrid(geo, {
+  projection = 'equirectangular',
+  width = 4100,
+  spacing = 29,
+  rowSpacing,
+  grid = 'square',
+  bbox = [-180, -90, 180, 90],
+  test = 'center',
+  where = [],
+  r = 8,
+  region,
+  regionName,
+} = {}) {
+  if (!(spacing > 0)) throw new Error('--spacing must be > 0');
+  if (!['square', 'hex'].includes(grid)) throw new Error(`Unknown grid style "${grid}"`);
+  if (!['center', 'any', 'all'].includes(test)) throw new Error(`Unknown test mode "${test}"`);
+  const dy = rowSpacing > 0 ? rowSpacing : grid === 'hex' ? (spacing * Math.sqrt(3)) / 2 : spacing;
+
+  const project = makeProjector(projection, width);
+  const polys = prepare(collectPolygons(geo, where), project);
+
+  // bbox corners → output rect (projections here keep meridians/parallels
+  // monotonic, so the extremes sit on the box edges)
+  const maxLat = PROJECTIONS[projection].maxLat;
+  const [w, s, e, n] = bbox;
+  const south = Math.max(s, -maxLat), north = Math.min(n, maxLat);
+  const xs = [], ys = [];
+  for (const lat of [south, 0, north]) {
+    if (lat < south || lat > north) continue;
+    for (const lon of [w, e]) {
+      const [x, y] = project(lon, lat);
+      xs.push(x); ys.push(y);
+    }
+  }
+  const rx0 = Math.min(...xs), rx1 = Math.max(...xs);
+  const ry0 = Math.min(...ys), ry1 = Math.max(...ys);
+
+  const h = spacing / 2, hy = dy / 2;
+  const corners = [[-h, -hy], [h, -hy], [-h, hy], [h, hy]];
+  const pts = [];
+  const regions = {};
+  const regionLabel = (props, id) =>
+    String((regionName ? props[regionName] : props.NAME ?? props.name ?? props.ADMIN) ?? id);
+  // Rows/columns are anchored at the frame origin, not the bbox, so crops of
+  // the same frame share one lattice.
+  for (let row = Math.ceil(ry0 / dy); row * dy <= ry1; row++) {
+    const y = row * dy;
+    const shift = grid === 'hex' && (row & 1) ? spacing / 2 : 0;
+    for (let col = Math.ceil((rx0 - shift) / spacing); col * spacing + shift <= rx1; col++) {
+      const x = col * spacing + shift;
+      let hit = landAt(polys, x, y);
+      if (test === 'any' && !hit) {
+        for (const [cx, cy] of corners) if ((hit = landAt(polys, x + cx, y + cy))) break;
+      }
+      if (test === 'all' && hit && !corners.every(([cx, cy]) => landAt(polys, x + cx, y + cy))) hit = undefined;
+      if (!hit) continue;
+      const p = { x: +x.toFixed(3), y: +y.toFixed(3), r };
+      if (region) {
+        const id = hit.props?.[region];
+        if (id != null) {
+          p.region = id;
+          if (!(id in regions)) regions[id] = { name: regionLabel(hit.props, id) };
+        }
+      }
+      pts.push(p);
+    }
+  }
+  return { points: pts, regions: region ? regions : null };
+}
+
+function parseArgs(argv) {
+  const pos = [], opt = { where: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) { pos.push(a); continue; }
+    let [k, v] = a.slice(2).split(/=(.*)/s);
+    if (v === undefined) v = argv[++i];
+    if (k === 'where') {
+      const [wk, wv] = String(v).split(/=(.*)/s);
+      opt.where.push([wk, wv ?? '']);
+    } else {
+      opt[k] = v;
+    }
+  }
+  return { pos, opt };
+}
+
+function main(argv) {
+  const { pos, opt } = parseArgs(argv);
+  const [input, out] = pos;
+  if (!input || !out) {
+    console.error('Usage: node wm-grid-from-geojson.mjs <land.geojson> <out.json|out.wmp> [options]');
+    process.exit(1);
+  }
+  const num = (v) => (v === undefined ? undefined : Number(v));
+  const bbox = opt.bbox ? String(opt.bbox).split(',').map(Number) : undefined;
+  if (bbox && (bbox.length !== 4 || bbox.some((v) => !Number.isFinite(v)))) {
+    console.error('--bbox expects four numbers: west,south,east,north');
+    process.exit(1);
+  }
+
+  const geo = JSON.parse(readFileSync(input, 'utf8'));
+  let pts, regions;
+  try {
+    ({ points: pts, regions } = generateGrid(geo, {
+      projection: opt.projection,
+      width: num(opt.width),
+      spacing: num(opt.spacing),
+      rowSpacing: num(opt['row-spacing']),
+      grid: opt.grid,
+      bbox,
+      test: opt.test,
+      where: opt.where,
+      r: num(opt.r),
+      region: opt.region,
+      regionName: opt['region-name'],
+    }));
+  } catch (e) {
+    console.error('[wm] ' + e.message);
+    process.exit(1);
+  }
+  if (!pts.length) {
+    console.error('[wm] No dots fell on land — check --bbox, --where and the input file.');
+    process.exit(1);
+  }
+
+  if (/\.wmp$/i.test(out)) writeFileSync(out, new Uint8Array(encodePoints(pts, { regions }).buffer));
+  else writeFileSync(out, JSON.stringify(regions ? { points: pts, regions } : pts));
+  const regionNote = regions ? `, ${Object.keys(regions).length} regions` : '';
+  console.log(`${input} → ${out}: ${pts.length} points${regionNote}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2));
+}
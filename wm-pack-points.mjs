@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// wm-pack-points.mjs
+// Converts a point JSON file ([{x,y,r}, ...], or { points, regions } as
+// written by wm-grid-from-geojson.mjs --region) into the compact binary .wmp
+// format read by initRipple (dataUrl ending in .wmp, or served as
+// application/octet-stream).
+//
+// Usage:
+//   node wm-pack-points.mjs <in.json> [out.wmp] [--float]
+//
+//   --float   store x/y as float32 instead of 16-bit quantized values
+//
+// .wmp files are build output and not committed; regenerate them from the
+// JSON sources before serving, e.g.:
+//   for f in mapData.json 1mapData.json 2mapData.json gridData.json; do
+//     node wm-pack-points.mjs "$f"
+//   done
+//
+// .wmp layout (little-endian), 40-byte header then `count` records:
+//
+//   off  type     field
+//   0    char[4]  magic 'WMPT'
+//   4    u8       version (1; 2 when REGIONS is set)
+//   5    u8       flags   bit0 QUANTIZED: x/y are u16, value = min + q * step
+//                        bit1 PER_POINT_R: each record has an f32 r after x/y
+//                        bit2 REGIONS: each record ends with a u16 region
+//                             index (0xFFFF = none), and a region table
+//                             follows the records
+//   6    u16      stride  bytes per record (4|8 for x/y, +4 with PER_POINT_R,
+//                         +2 with REGIONS)
+//   8    u32      count
+//   12   f32 x4   minX, minY, maxX, maxY (data bounds)
+//   28   f32 x2   stepX, stepY (quantization step; 0 when not QUANTIZED)
+//   36   f32      r       radius shared by all points when not PER_POINT_R
+//   40   ...      records: x, y (u16 or f32) [, r (f32)] [, region (u16)]
+//   then (REGIONS only): u32 byte length + UTF-8 JSON array of the regions
+//   by index, [{ id, ...info }, ...]
+//
+// Integer coordinates spanning at most 65535 units are stored with step 1,
+// i.e. losslessly; anything else uses (max - min) / 65535.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+const MAGIC = 'WMPT';
+const VERSION = 1;
+const HEADER_BYTES = 40;
+const FLAG_QUANTIZED = 1;
+const FLAG_PER_POINT_R = 2;
+const FLAG_REGIONS = 4;
+const U16_MAX = 65535;
+const NO_REGION = 0xFFFF;
+
+// Region table for the file: dictionary entries first (object keyed by id,
+// or [{ id, ...info }]), then ids only seen on points.
+function regionTable(pts, regions) {
+  const list = Array.isArray(regions)
+    ? regions.map((r) => ({ ...r, id: r.id }))
+    : Object.entries(regions || {}).map(([id, info]) => ({ ...info, id }));
+  const index = new Map(list.map((r, i) => [String(r.id), i]));
+  for (const p of pts) {
+    if (p.region == null || index.has(String(p.region))) continue;
+    index.set(String(p.region), list.length);
+    list.push({ id: p.region });
+  }
+  if (list.length >= NO_REGION) throw new Error(`Too many regions (${list.length}, max ${NO_REGION - 1})`);
+  return { list, index };
+}
+
+function quantStep(min, max, integral) {
+  const span = max - min;
+  if (integral && span <= U16_MAX) return 1;
+  return span > 0 ? span / U16_MAX : 1;
+}
+
+export function encodePoints(pts, { float = false, regions = null } = {}) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let integral = true;
+  const r0 = +(pts[0].r || 0);
+  let perPointR = false;
+  for (const p of pts) {
+    if (!Number.isFinite(p.x) || !Number.isFinite(p.y)) {
+      throw new Error('Point has non-numeric x/y: ' + JSON.stringify(p));
+    }
+    if (p.x < minX) minX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y > maxY) maxY = p.y;
+    if (!Number.isInteger(p.x) || !Number.isInteger(p.y)) integral = false;
+    if (+(p.r || 0) !== r0) perPointR = true;
+  }
+
+  const quantized = !float;
+  const table = regions || pts.some((p) => p.region != null) ? regionTable(pts, regions) : null;
+  const tableBytes = table ? new TextEncoder().encode(JSON.stringify(table.list)) : null;
+  const stepX = quantized ? quantStep(minX, maxX, integral) : 0;
+  const stepY = quantized ? quantStep(minY, maxY, integral) : 0;
+  const stride = (quantized ? 4 : 8) + (perPointR ? 4 : 0) + (table ? 2 : 0);
+  const flags = (quantized ? FLAG_QUANTIZED : 0) | (perPointR ? FLAG_PER_POINT_R : 0) |
+    (table ? FLAG_REGIONS : 0);
+
+  const recordsEnd = HEADER_BYTES + pts.length * stride;
+  const buf = new ArrayBuffer(recordsEnd + (table ? 4 + tableBytes.length : 0));
+  const dv = new DataView(buf);
+  for (let i = 0; i < 4; i++) dv.setUint8(i, MAGIC.charCodeAt(i));
+  dv.setUint8(4, table ? 2 : VERSION);
+  dv.setUint8(5, flags);
+  dv.setUint16(6, stride, true);
+  dv.setUint32(8, pts.length, true);
+  dv.setFloat32(12, minX, true);
+  dv.setFloat32(16, minY, true);
+  dv.setFloat32(20, maxX, true);
+  dv.setFloat32(24, maxY, true);
+  dv.setFloat32(28, stepX, true);
+  dv.setFloat32(32, stepY, true);
+  dv.setFloat32(36, perPointR ? 0 : r0, true);
+
+  let o = HEADER_BYTES;
+  for (const p of pts) {
+    if (quantized) {
+      dv.setUint16(o, Math.round((p.x - minX) / stepX), true);
+      dv.setUint16(o + 2, Math.round((p.y - minY) / stepY), true);
+      o += 4;
+    } else {
+      dv.setFloat32(o, p.x, true);
+      dv.setFloat32(o + 4, p.y, true);
+      o += 8;
+    }
+    if (perPointR) {
+      dv.setFloat32(o, +(p.r || 0), true);
+      o += 4;
+    }
+    if (table) {
+      dv.setUint16(o, p.region == null ? NO_REGION : table.index.get(String(p.region)), true);
+      o += 2;
+    }
+  }
+  if (table) {
+    dv.setUint32(recordsEnd, tableBytes.length, true);
+    new Uint8Array(buf, recordsEnd + 4).set(tableBytes);
+  }
+  return { buffer: buf, quantized, perPointR, stepX, stepY, regionCount: table ? table.list.length : 0 };
+}
+
+function main(argv) {
+  const args = argv.filter((a) => !a.startsWith('--'));
+  const float = argv.includes('--float');
+  const [input, outArg] = args;
+  if (!input) {
+    console.error('Usage: node wm-pack-points.mjs <in.json> [out.wmp] [--float]');
+    process.exit(1);
+  }
+  const out = outArg || input.replace(/\.json$/i, '') + '.wmp';
+
+  const json = JSON.parse(readFileSync(input, 'utf8'));
+  const pts = Array.isArray(json) ? json : json?.points;
+  if (!Array.isArray(pts) || !pts.length) {
+    console.error(`[wm] ${input}: expected a non-empty array of {x,y,r}`);
+    process.exit(1);
+  }
+
+  const { buffer, quantized, perPointR, stepX, stepY, regionCount } =
+    encodePoints(pts, { float, regions: json.regions });
+  writeFileSync(out, new Uint8Array(buffer));
+
+  const inBytes = readFileSync(input).length;
+  const mode = quantized ? `u16 (step ${+stepX.toFixed(4)} × ${+stepY.toFixed(4)})` : 'f32';
+  console.log(
+    `${input} → ${out}: ${pts.length} points, ${mode}, ` +
+    `${perPointR ? 'per-point r' : 'shared r'}, ${regionCount ? regionCount + ' regions, ' : ''}` +
+    `${inBytes} → ${buffer.byteLength} bytes`
+  );
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2));
+}
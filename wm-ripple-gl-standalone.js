@@ -1,14 +1,567 @@
 // wm-ripple-gl-standalone.js
 // Standalone WebGL2 ripple renderer (no external libs)
 // Exports: default async function initRipple(options)
+//   → resolves to a controller:
+//       setOptions(), pulse(), pick(), setPointStyle(), setValues(), highlightRegion(),
+//       clearHighlight(), flyTo(), setData(), pause(), resume(), destroy(), project(), unproject()
+//       running, randomSeed, regions, view (getters)
+//   → rejects with WmRippleError (named export) if the map cannot start
+// Also exports initRippleLayers(options): several layers on one canvas (see
+// its comment at the end of this file).
+// Events (CustomEvent, dispatched on the canvas):
+//   wm:contextlost, wm:contextrestored, wm:error { detail.error }
+//   wm:pointermove, wm:click { detail.index (-1 = none), point, screen, originalEvent }
+//   wm:regionhover { detail.region (id | null), info, previous, originalEvent }
+//   wm:regionclick { detail.region, info, index, point, originalEvent }
+//   wm:viewchange { detail.x, y, w, h (visible data rect), zoom }
 
-function cssHexToLinearRGB(hex) {
-  const c = hex.replace('#', '').trim();
-  const r = parseInt(c.slice(0, 2), 16) / 255;
-  const g = parseInt(c.slice(2, 4), 16) / 255;
-  const b = parseInt(c.slice(4, 6), 16) / 255;
-  const toLin = (v) => Math.pow(v, 2.2);
-  return new Float32Array([toLin(r), toLin(g), toLin(b)]);
+// Any CSS color → [r, g, b, a] with linear RGB, or null if the browser
+// cannot parse it. Hex (#rgb, #rgba, #rrggbb, #rrggbbaa) needs no DOM;
+// anything else is painted into a 1×1 2D canvas and read back (cached),
+// which also resolves named colors, rgb(), hsl(), etc.
+let colorCtx = null;
+const colorCache = new Map();
+function cssColorToLinearRGBA(color) {
+  const c = String(color ?? '').trim();
+  const toLin = (v) => Math.pow(v / 255, 2.2);
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(c);
+  if (hex) {
+    const h = hex[1].length <= 4 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    const v = (i) => parseInt(h.slice(i * 2, i * 2 + 2), 16);
+    return [toLin(v(0)), toLin(v(1)), toLin(v(2)), h.length === 8 ? v(3) / 255 : 1];
+  }
+  if (c === 'transparent') return [0, 0, 0, 0];
+  if (colorCache.has(c)) return colorCache.get(c);
+  let rgba = null;
+  if (c && (typeof CSS === 'undefined' || !CSS.supports || CSS.supports('color', c))) {
+    colorCtx ||= typeof document !== 'undefined'
+      ? document.createElement('canvas').getContext('2d', { willReadFrequently: true })
+      : null;
+    if (colorCtx) {
+      colorCtx.clearRect(0, 0, 1, 1);
+      colorCtx.fillStyle = c;
+      colorCtx.fillRect(0, 0, 1, 1);
+      const [r, g, b, a] = colorCtx.getImageData(0, 0, 1, 1).data;
+      rgba = [toLin(r), toLin(g), toLin(b), a / 255];
+    }
+  }
+  colorCache.set(c, rgba);
+  return rgba;
+}
+
+// Opaque colors (idle/bright, point, pulse, hover and highlight colors):
+// any CSS color → linear RGB, alpha ignored. `what` names the option in the
+// OPTION_INVALID error for anything the browser cannot parse.
+function cssColorToLinearRGB(color, what = 'color') {
+  const rgba = color == null ? null : cssColorToLinearRGBA(color);
+  if (!rgba) throw new WmRippleError('OPTION_INVALID', `Invalid CSS color for ${what}: ${JSON.stringify(color)}`);
+  return new Float32Array(rgba.slice(0, 3));
+}
+
+// gradient option (CSS colors spread evenly, or [offset 0..1, color] pairs)
+// → GRADIENT_SIZE premultiplied linear RGBA samples for the ripple color
+// lookup texture. Translucent stops blend over each dot's own color, so
+// 'transparent' leaves it unchanged.
+const GRADIENT_SIZE = 256;
+function gradientLUT(stops) {
+  if (!Array.isArray(stops) || !stops.length) {
+    throw new WmRippleError('OPTION_INVALID', 'gradient must be an array of CSS colors or [offset, color] pairs.');
+  }
+  const list = stops
+    .map((s, i, a) => {
+      const [t, color] = Array.isArray(s) ? [+s[0], s[1]] : [a.length > 1 ? i / (a.length - 1) : 0, s];
+      const rgba = cssColorToLinearRGBA(color);
+      if (!rgba || !Number.isFinite(t)) {
+        throw new WmRippleError('OPTION_INVALID', 'Invalid gradient stop: ' + JSON.stringify(s));
+      }
+      const [r, g, b, al] = rgba;
+      return [t, [r * al, g * al, b * al, al]];
+    })
+    .sort((a, b) => a[0] - b[0]);
+
+  const lut = new Float32Array(GRADIENT_SIZE * 4);
+  let j = 0;
+  for (let i = 0; i < GRADIENT_SIZE; i++) {
+    const t = i / (GRADIENT_SIZE - 1);
+    while (j < list.length - 2 && t > list[j + 1][0]) j++;
+    const [t0, c0] = list[j];
+    const [t1, c1] = list[Math.min(j + 1, list.length - 1)];
+    const f = t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : t < t0 ? 0 : 1;
+    for (let k = 0; k < 4; k++) lut[i * 4 + k] = c0[k] + (c1[k] - c0[k]) * f;
+  }
+  return lut;
+}
+
+// colorScale option → (value) => linear RGB, or null for missing values and
+// (with clamp: false) values outside the domain.
+//   stops   CSS colors spread evenly, or [offset 0..1, color] pairs
+//   domain  ascending breakpoints spread evenly over the stops, e.g.
+//           [min, max] or [min, mid, max] for a diverging scale; defaults to
+//           the extent of `values` (symmetric around 0 for type 'diverging')
+function makeColorScale({ type = 'sequential', stops, domain, clamp = true } = {}, values, defaultStops) {
+  const list = (stops && stops.length ? stops : defaultStops)
+    .map((s, i, a) => Array.isArray(s)
+      ? [+s[0], cssColorToLinearRGB(s[1], 'colorScale stop')]
+      : [a.length > 1 ? i / (a.length - 1) : 0, cssColorToLinearRGB(s, 'colorScale stop')])
+    .sort((a, b) => a[0] - b[0]);
+
+  let dom = domain;
+  if (!dom || !dom.length) {
+    let lo = Infinity, hi = -Infinity;
+    for (const v of values) {
+      if (v == null || !Number.isFinite(+v)) continue;
+      lo = Math.min(lo, +v);
+      hi = Math.max(hi, +v);
+    }
+    if (lo > hi) lo = hi = 0;
+    const m = Math.max(Math.abs(lo), Math.abs(hi));
+    dom = type === 'diverging' ? [-m, 0, m] : [lo, hi];
+  }
+  dom = dom.length === 1 ? [+dom[0], +dom[0]] : dom.map(Number);
+  const k = dom.length - 1;
+
+  return (value) => {
+    if (value == null || !Number.isFinite(+value)) return null;
+    const v = +value;
+    // value → t (0..1), piecewise linear over the domain segments
+    let j = 0;
+    while (j < k - 1 && v > dom[j + 1]) j++;
+    const span = dom[j + 1] - dom[j];
+    let t = (j + (span ? (v - dom[j]) / span : 0.5)) / k;
+    if (t < 0 || t > 1) {
+      if (!clamp) return null;
+      t = Math.min(1, Math.max(0, t));
+    }
+    // t → color between the surrounding stops
+    let s = 0;
+    while (s < list.length - 2 && t > list[s + 1][0]) s++;
+    const [t0, c0] = list[s];
+    const [t1, c1] = list[Math.min(s + 1, list.length - 1)];
+    const f = t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : 0;
+    return [c0[0] + (c1[0] - c0[0]) * f, c0[1] + (c1[1] - c0[1]) * f, c0[2] + (c1[2] - c0[2]) * f];
+  };
+}
+
+// Built-in dot shapes: GLSL bodies of shapeSDF(p, corner), the signed
+// distance from local coords p (-0.5..0.5) to the edge (< 0 inside);
+// `corner` is cornerPct mapped to 0..0.49.
+// 'square' (the default) is the dot drawn before shapes existed: the old
+// roundedRectMask clipped to the box inset by `corner` before its rounding
+// term, so its dots were sharp squares shrunk by cornerPct, never rounded.
+// Keep it that way (and crisp under edges: 'auto') so existing maps look
+// the same; 'rounded-square' is the full-size dot with rounded corners.
+const SHAPES = {
+  square: 'return sdBox(p, vec2(0.5 - corner));', // cornerPct insets the square
+  'rounded-square': 'return sdBox(p, vec2(0.5 - corner)) - corner;',
+  circle: 'return length(p) - 0.5;',
+  hexagon: 'return sdHexagon(p, 0.433 - corner) - corner;', // flat top, fits the cell width
+  diamond: 'return (abs(p.x) + abs(p.y) - 0.5 + corner * 1.4142) * 0.7071 - corner;',
+  cross: 'return min(sdBox(p, vec2(0.5 - corner, 0.17)), sdBox(p, vec2(0.17, 0.5 - corner))) - corner;',
+};
+
+// shape option → shapeSDF body. A string names a built-in; { sdf } is a
+// custom GLSL body using p and corner; { image, cols, rows } masks each dot
+// with a cell of a sprite atlas (alpha ≥ 0.5 inside; cell = point.sprite).
+function shapeBody(shape) {
+  if (typeof shape === 'string') {
+    if (!SHAPES[shape]) {
+      throw new WmRippleError('OPTION_INVALID', `Unknown shape "${shape}" (${Object.keys(SHAPES).join(', ')}).`);
+    }
+    return SHAPES[shape];
+  }
+  if (shape && typeof shape.sdf === 'string') return shape.sdf;
+  if (shape && shape.image) {
+    return `vec2 cell = vec2(mod(vSprite, uSpriteGrid.x), floor(vSprite / uSpriteGrid.x));
+      return 0.5 - texture(uSprite, (cell + clamp(p + 0.5, 0.0, 1.0)) / uSpriteGrid).a;`;
+  }
+  throw new WmRippleError('OPTION_INVALID', 'shape must be a shape name, { sdf } or { image, cols, rows }.');
+}
+
+// Easing curves for flyTo()/setData() and envelope keyframes:
+// t (0..1) → progress (0..1)
+const EASINGS = {
+  linear: (t) => t,
+  'ease-in': (t) => t * t * t,
+  'ease-out': (t) => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  smoothstep: (t) => t * t * (3 - 2 * t),
+  exponential: (t) => (1 - Math.exp(-6 * t)) / (1 - Math.exp(-6)),
+};
+
+// Ripple brightness envelopes over one cycle: keyframes [time 0..1, value
+// 0..1, easing of the segment ending at this key]. 'classic' is the
+// original ~3% fade-in → 7% hold → 90% fade-out.
+const ENVELOPES = {
+  classic: [[0, 0], [0.03, 1, 'smoothstep'], [0.10, 1], [1, 0]],
+  ping:    [[0, 0], [0.01, 1], [0.25, 0, 'ease-out']],
+  breathe: [[0, 0], [0.5, 1, 'ease-in-out'], [1, 0, 'ease-in-out']],
+  double:  [[0, 0], [0.02, 1], [0.12, 0.1, 'ease-out'], [0.16, 0.8, 'smoothstep'], [0.45, 0, 'ease-out']],
+  decay:   [[0, 0], [0.01, 1], [1, 0, 'exponential']],
+};
+
+// envelope option (preset name, or keyframes as [time, value, easing] or
+// { time, value, easing }; easing = EASINGS name or function, default
+// linear) → ENVELOPE_SIZE samples for the shader's lookup texture. Before
+// the first / after the last key the value is held.
+const ENVELOPE_SIZE = 256;
+function envelopeLUT(envelope) {
+  const list = typeof envelope === 'string' ? ENVELOPES[envelope] : envelope;
+  if (typeof envelope === 'string' && !list) {
+    throw new WmRippleError('OPTION_INVALID', `Unknown envelope "${envelope}" (${Object.keys(ENVELOPES).join(', ')}).`);
+  }
+  if (!Array.isArray(list) || !list.length) {
+    throw new WmRippleError('OPTION_INVALID', 'envelope must be a preset name or an array of keyframes.');
+  }
+  const keys = list.map((k) => {
+    const [time, value, easing = 'linear'] = Array.isArray(k) ? k : [k.time, k.value, k.easing];
+    const ease = typeof easing === 'function' ? easing : EASINGS[easing];
+    if (!Number.isFinite(+time) || +time < 0 || +time > 1 || !Number.isFinite(+value) || !ease) {
+      throw new WmRippleError('OPTION_INVALID', 'Invalid envelope keyframe: ' + JSON.stringify(k));
+    }
+    return { time: +time, value: +value, ease };
+  });
+  for (let i = 1; i < keys.length; i++) {
+    if (keys[i].time < keys[i - 1].time) {
+      throw new WmRippleError('OPTION_INVALID', 'envelope keyframe times must be ascending.');
+    }
+  }
+
+  const lut = new Float32Array(ENVELOPE_SIZE);
+  let j = 0;
+  for (let i = 0; i < ENVELOPE_SIZE; i++) {
+    const t = i / (ENVELOPE_SIZE - 1);
+    while (j < keys.length && keys[j].time < t) j++;
+    let v;
+    if (j === 0) v = keys[0].value;
+    else if (j === keys.length) v = keys[j - 1].value;
+    else {
+      const a = keys[j - 1], b = keys[j];
+      const f = b.time > a.time ? (t - a.time) / (b.time - a.time) : 1;
+      v = a.value + (b.value - a.value) * b.ease(f);
+    }
+    lut[i] = Math.min(1, Math.max(0, v));
+  }
+  return lut;
+}
+
+// Error type for every init failure; `code` is one of:
+//   CANVAS_NOT_FOUND, WEBGL2_UNAVAILABLE, DATA_FETCH_FAILED, DATA_INVALID,
+//   SHADER_COMPILE, PROGRAM_LINK, OPTION_INVALID
+// `cause` holds the underlying error (if any); shader errors carry `source`
+// with line numbers so driver log lines ("0:12: ...") can be matched up.
+export class WmRippleError extends Error {
+  constructor(code, message, { cause, source } = {}) {
+    super('[wm] ' + message);
+    this.name = 'WmRippleError';
+    this.code = code;
+    if (cause !== undefined) this.cause = cause;
+    if (source !== undefined) this.source = source;
+  }
+}
+
+// Small deterministic PRNG (mulberry32) → () => [0, 1)
+function mulberry32(a) {
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Numbers are used as-is (uint32); strings are hashed (FNV-1a) so a
+// config can carry a readable seed like "launch-hero".
+function seedToUint32(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  const str = String(seed);
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// SVG preserveAspectRatio-style alignment ('xMinYMid', 'xMidYMax', ...)
+// → fractions [ax, ay] of the leftover space placed before the content.
+// Unknown values throw OPTION_INVALID (null = centered).
+const ALIGN_FRAC = { Min: 0, Mid: 0.5, Max: 1 };
+function parseAlign(align) {
+  if (align == null) return [0.5, 0.5];
+  const m = /^x(Min|Mid|Max)Y(Min|Mid|Max)$/.exec(align);
+  if (!m) throw new WmRippleError('OPTION_INVALID', `Unknown align "${align}" (x(Min|Mid|Max)Y(Min|Mid|Max)).`);
+  return [ALIGN_FRAC[m[1]], ALIGN_FRAC[m[2]]];
+}
+
+const FITS = ['stretch', 'contain', 'cover'];
+function checkFit(fit) {
+  if (!FITS.includes(fit)) throw new WmRippleError('OPTION_INVALID', `Unknown fit "${fit}" (${FITS.join(', ')}).`);
+  return fit;
+}
+
+// Number option (numeric strings allowed); NaN and ±Infinity throw OPTION_INVALID
+function checkNumber(value, what) {
+  const ok = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+  if (!ok || !Number.isFinite(+value)) {
+    const shown = typeof value === 'number' ? String(value) : JSON.stringify(value);
+    throw new WmRippleError('OPTION_INVALID', `Invalid ${what}: ${shown}`);
+  }
+  return +value;
+}
+
+const EDGES = ['auto', 'smooth', 'crisp'];
+function checkEdges(edges) {
+  if (!EDGES.includes(edges)) throw new WmRippleError('OPTION_INVALID', `Unknown edges "${edges}" (${EDGES.join(', ')}).`);
+  return edges;
+}
+
+// === Map projections ===
+// Same world frame as wm-grid-from-geojson.mjs: x = 0 at 180°W, y = 0 at the
+// top of the projection (y grows southward), world `width` data units wide.
+// So a layout generated with --projection P --width W lines up with
+// initRipple({ projection: P, projectionWidth: W }).
+const DEG = Math.PI / 180;
+const MERCATOR_MAX_LAT = 85.05112878;
+
+// Robinson table: latitude every 5° → [X (parallel length), Y (distance from equator)]
+const ROBINSON = [
+  [1.0000, 0.0000], [0.9986, 0.0620], [0.9954, 0.1240], [0.9900, 0.1860],
+  [0.9822, 0.2480], [0.9730, 0.3100], [0.9600, 0.3720], [0.9427, 0.4340],
+  [0.9216, 0.4958], [0.8962, 0.5571], [0.8679, 0.6176], [0.8350, 0.6769],
+  [0.7986, 0.7346], [0.7597, 0.7903], [0.7186, 0.8435], [0.6732, 0.8936],
+  [0.6213, 0.9394], [0.5722, 0.9761], [0.5322, 1.0000],
+];
+const EE = { A1: 1.340264, A2: -0.081106, A3: 0.000893, A4: 0.003796 };
+
+// lon/lat (degrees) ↔ projected [x, y] with y pointing north
+const PROJECTIONS = {
+  equirectangular: {
+    maxLat: 90,
+    fwd: (lon, lat) => [lon * DEG, lat * DEG],
+    inv: (x, y) => [x / DEG, y / DEG],
+  },
+  mercator: {
+    maxLat: MERCATOR_MAX_LAT,
+    fwd: (lon, lat) => {
+      const l = Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat));
+      return [lon * DEG, Math.log(Math.tan(Math.PI / 4 + (l * DEG) / 2))];
+    },
+    inv: (x, y) => [x / DEG, (2 * Math.atan(Math.exp(y)) - Math.PI / 2) / DEG],
+  },
+  miller: {
+    maxLat: 90,
+    fwd: (lon, lat) => [lon * DEG, 1.25 * Math.log(Math.tan(Math.PI / 4 + 0.4 * lat * DEG))],
+    inv: (x, y) => [x / DEG, (2.5 * Math.atan(Math.exp(0.8 * y)) - 0.625 * Math.PI) / DEG],
+  },
+  robinson: {
+    maxLat: 90,
+    fwd: (lon, lat) => {
+      const a = Math.min(Math.abs(lat), 90) / 5;
+      const i = Math.min(Math.floor(a), ROBINSON.length - 2);
+      const f = a - i;
+      const X = ROBINSON[i][0] + (ROBINSON[i + 1][0] - ROBINSON[i][0]) * f;
+      const Y = ROBINSON[i][1] + (ROBINSON[i + 1][1] - ROBINSON[i][1]) * f;
+      return [0.8487 * X * lon * DEG, 1.3523 * Y * Math.sign(lat)];
+    },
+    inv: (x, y) => {
+      // Y is monotonic in latitude → find the table interval, then invert
+      // the same linear interpolation the forward mapping uses.
+      const Y = Math.min(Math.abs(y) / 1.3523, 1);
+      let i = 0;
+      while (i < ROBINSON.length - 2 && ROBINSON[i + 1][1] < Y) i++;
+      const f = (Y - ROBINSON[i][1]) / (ROBINSON[i + 1][1] - ROBINSON[i][1]);
+      const X = ROBINSON[i][0] + (ROBINSON[i + 1][0] - ROBINSON[i][0]) * f;
+      return [x / (0.8487 * X) / DEG, 5 * (i + f) * Math.sign(y)];
+    },
+  },
+  'equal-earth': {
+    maxLat: 90,
+    fwd: (lon, lat) => {
+      const { A1, A2, A3, A4 } = EE;
+      const t = Math.asin((Math.sqrt(3) / 2) * Math.sin(lat * DEG));
+      const t2 = t * t, t6 = t2 * t2 * t2;
+      const x = (2 * Math.sqrt(3) * lon * DEG * Math.cos(t)) /
+        (3 * (9 * A4 * t6 * t2 + 7 * A3 * t6 + 3 * A2 * t2 + A1));
+      return [x, t * (A1 + A2 * t2 + t6 * (A3 + A4 * t2))];
+    },
+    inv: (x, y) => {
+      // Newton iteration for θ (parametric latitude), as in the reference
+      const { A1, A2, A3, A4 } = EE;
+      let t = y, dy = A1;
+      for (let k = 0; k < 12; k++) {
+        const t2 = t * t, t6 = t2 * t2 * t2;
+        dy = A1 + 3 * A2 * t2 + t6 * (7 * A3 + 9 * A4 * t2);
+        const d = (t * (A1 + A2 * t2 + t6 * (A3 + A4 * t2)) - y) / dy;
+        t -= d;
+        if (Math.abs(d) < 1e-12) break;
+      }
+      const lon = (3 * x * dy) / (2 * Math.sqrt(3) * Math.cos(t));
+      const lat = Math.asin((2 * Math.sin(t)) / Math.sqrt(3));
+      return [lon / DEG, lat / DEG];
+    },
+  },
+};
+
+function makeProjection(name, width) {
+  const proj = PROJECTIONS[name];
+  if (!proj) {
+    throw new WmRippleError('OPTION_INVALID',
+      `Unknown projection "${name}" (${Object.keys(PROJECTIONS).join(', ')}).`);
+  }
+  const x0 = proj.fwd(-180, 0)[0];
+  const x1 = proj.fwd(180, 0)[0];
+  const yTop = proj.fwd(0, proj.maxLat)[1];
+  const k = width / (x1 - x0);
+  return {
+    project(lon, lat) {
+      const [x, y] = proj.fwd(lon, lat);
+      return [(x - x0) * k, (yTop - y) * k];
+    },
+    unproject(x, y) {
+      return proj.inv(x / k + x0, yTop - y / k);
+    },
+  };
+}
+
+// Accepts [{x,y,r}, ...] / [{lon,lat,r}, ...] or a packed Float32Array
+// (x,y[,r[,region index]] per point) and returns a fresh [{x,y,r}, ...] (lon/lat records
+// keep their lon/lat and gain projected x/y); throws DATA_INVALID otherwise.
+function normalizePoints(raw, stride = 3, projection = null, regionIds = null) {
+  let pts;
+  if (raw instanceof Float32Array) {
+    if (stride < 2 || stride > 4) {
+      throw new WmRippleError('DATA_INVALID', 'dataStride must be 2, 3 or 4, got ' + stride);
+    }
+    if (raw.length % stride) {
+      throw new WmRippleError('DATA_INVALID', `Packed data length ${raw.length} is not a multiple of ${stride}.`);
+    }
+    pts = new Array(raw.length / stride);
+    for (let i = 0, o = 0; i < pts.length; i++, o += stride) {
+      pts[i] = { x: raw[o], y: raw[o + 1], r: stride >= 3 ? raw[o + 2] : 0 };
+      // 4th value: region index (into regionIds when given), -1 = none
+      if (stride === 4 && raw[o + 3] >= 0) pts[i].region = regionIds ? regionIds[raw[o + 3]] : raw[o + 3];
+    }
+  } else if (Array.isArray(raw)) {
+    pts = raw.map((p) => {
+      if (p && p.x == null && p.lon != null && p.lat != null && projection) {
+        const [x, y] = projection.project(+p.lon, +p.lat);
+        return { ...p, x, y, r: +(p.r || 0) };
+      }
+      return { ...p, x: +p?.x, y: +p?.y, r: +(p?.r || 0) };
+    });
+  } else {
+    throw new WmRippleError('DATA_INVALID', 'Data is empty/invalid.');
+  }
+  if (!pts.length) throw new WmRippleError('DATA_INVALID', 'Data is empty/invalid.');
+  const bad = pts.findIndex((p) => !Number.isFinite(p.x) || !Number.isFinite(p.y));
+  if (bad >= 0) throw new WmRippleError('DATA_INVALID', `Point ${bad} has non-numeric x/y.`);
+  return pts;
+}
+
+// Decodes the binary .wmp point format (see wm-pack-points.mjs for the full
+// layout: 40-byte 'WMPT' header, then u16-quantized or f32 x/y records with
+// an optional f32 r and u16 region index, then an optional region table)
+// into { points, stride, regions }: a packed Float32Array of x,y,r (plus the
+// region index, -1 = none, when the file has regions) and the region list.
+const WMP_HEADER_BYTES = 40;
+function decodePoints(buffer) {
+  const dv = new DataView(buffer);
+  const magic = buffer.byteLength >= WMP_HEADER_BYTES
+    ? String.fromCharCode(dv.getUint8(0), dv.getUint8(1), dv.getUint8(2), dv.getUint8(3))
+    : '';
+  if (magic !== 'WMPT') throw new WmRippleError('DATA_INVALID', 'Not a .wmp point file.');
+  const version = dv.getUint8(4);
+  if (version !== 1 && version !== 2) throw new WmRippleError('DATA_INVALID', 'Unsupported .wmp version ' + version);
+
+  const flags  = dv.getUint8(5);
+  const stride = dv.getUint16(6, true);
+  const count  = dv.getUint32(8, true);
+  const quantized = (flags & 1) !== 0;
+  const perPointR = (flags & 2) !== 0;
+  const hasRegions = (flags & 4) !== 0;
+  const minX  = dv.getFloat32(12, true), minY = dv.getFloat32(16, true);
+  const stepX = dv.getFloat32(28, true), stepY = dv.getFloat32(32, true);
+  const r0    = dv.getFloat32(36, true);
+  const rOff  = quantized ? 4 : 8;
+  const gOff  = rOff + (perPointR ? 4 : 0);
+  const end   = WMP_HEADER_BYTES + count * stride;
+  if (stride < gOff + (hasRegions ? 2 : 0) || end + (hasRegions ? 4 : 0) > buffer.byteLength) {
+    throw new WmRippleError('DATA_INVALID', '.wmp file is truncated or has a bad stride.');
+  }
+
+  const k = hasRegions ? 4 : 3;
+  const out = new Float32Array(count * k);
+  for (let i = 0, o = WMP_HEADER_BYTES; i < count; i++, o += stride) {
+    if (quantized) {
+      out[i * k + 0] = minX + dv.getUint16(o, true) * stepX;
+      out[i * k + 1] = minY + dv.getUint16(o + 2, true) * stepY;
+    } else {
+      out[i * k + 0] = dv.getFloat32(o, true);
+      out[i * k + 1] = dv.getFloat32(o + 4, true);
+    }
+    out[i * k + 2] = perPointR ? dv.getFloat32(o + rOff, true) : r0;
+    if (hasRegions) {
+      const g = dv.getUint16(o + gOff, true);
+      out[i * k + 3] = g === 0xFFFF ? -1 : g;
+    }
+  }
+
+  let regions = null;
+  if (hasRegions) {
+    const len = dv.getUint32(end, true);
+    if (end + 4 + len > buffer.byteLength) {
+      throw new WmRippleError('DATA_INVALID', '.wmp region table is truncated.');
+    }
+    try {
+      regions = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, end + 4, len)));
+    } catch (e) {
+      throw new WmRippleError('DATA_INVALID', '.wmp region table is not valid JSON.', { cause: e });
+    }
+    if (!Array.isArray(regions) || !regions.every((r) => r && typeof r === 'object')) {
+      throw new WmRippleError('DATA_INVALID', '.wmp region table is not an array of { id, ... }.');
+    }
+  }
+  return { points: out, stride: k, regions };
+}
+
+// Uniform-grid spatial index over point positions for hit-testing.
+// nearest(x, y, r) → index of the closest point within r, or -1.
+function buildPointGrid(pts, minX, minY, w, h) {
+  const cell = Math.max(Math.sqrt((w * h) / pts.length), 1e-6);
+  const cols = Math.max(1, Math.ceil(w / cell));
+  const rows = Math.max(1, Math.ceil(h / cell));
+  const cellOf = (v, min, n) => Math.min(n - 1, Math.max(0, Math.floor((v - min) / cell)));
+  const buckets = new Map();
+  pts.forEach((p, i) => {
+    const k = cellOf(p.y, minY, rows) * cols + cellOf(p.x, minX, cols);
+    const b = buckets.get(k);
+    if (b) b.push(i); else buckets.set(k, [i]);
+  });
+  return {
+    nearest(x, y, r) {
+      let best = -1, bestD = r * r;
+      const c0 = cellOf(x - r, minX, cols), c1 = cellOf(x + r, minX, cols);
+      const r0 = cellOf(y - r, minY, rows), r1 = cellOf(y + r, minY, rows);
+      for (let row = r0; row <= r1; row++) {
+        for (let col = c0; col <= c1; col++) {
+          const b = buckets.get(row * cols + col);
+          if (!b) continue;
+          for (const i of b) {
+            const dx = pts[i].x - x, dy = pts[i].y - y;
+            const d = dx * dx + dy * dy;
+            if (d <= bestD) { bestD = d; best = i; }
+          }
+        }
+      }
+      return best;
+    },
+  };
+}
+
+function numberLines(src) {
+  const lines = src.split('\n');
+  const w = String(lines.length).length;
+  return lines.map((l, i) => String(i + 1).padStart(w, ' ') + ': ' + l).join('\n');
 }
 
 function createShader(gl, type, src) {
@@ -18,14 +571,23 @@ function createShader(gl, type, src) {
   if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) {
     const log = gl.getShaderInfoLog(sh) || 'shader compile failed';
     gl.deleteShader(sh);
-    throw new Error(log);
+    const stage = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+    throw new WmRippleError('SHADER_COMPILE', `${stage} shader: ${log}`, {
+      source: numberLines(src),
+    });
   }
   return sh;
 }
 
 function createProgram(gl, vertSrc, fragSrc) {
   const vs = createShader(gl, gl.VERTEX_SHADER, vertSrc);
-  const fs = createShader(gl, gl.FRAGMENT_SHADER, fragSrc);
+  let fs;
+  try {
+    fs = createShader(gl, gl.FRAGMENT_SHADER, fragSrc);
+  } catch (e) {
+    gl.deleteShader(vs);
+    throw e;
+  }
   const prg = gl.createProgram();
   gl.attachShader(prg, vs);
   gl.attachShader(prg, fs);
@@ -35,118 +597,337 @@ function createProgram(gl, vertSrc, fragSrc) {
   if (!gl.getProgramParameter(prg, gl.LINK_STATUS)) {
     const log = gl.getProgramInfoLog(prg) || 'program link failed';
     gl.deleteProgram(prg);
-    throw new Error(log);
+    throw new WmRippleError('PROGRAM_LINK', log, {
+      source: '// vertex\n' + numberLines(vertSrc) + '\n\n// fragment\n' + numberLines(fragSrc),
+    });
   }
   return prg;
 }
 
+// canvasSelector → { canvas, gl } (WebGL2 context); throws CANVAS_NOT_FOUND
+// or WEBGL2_UNAVAILABLE
+function getCanvasContext(canvasSelector) {
+  const canvas = document.querySelector(canvasSelector);
+  if (!canvas) {
+    throw new WmRippleError('CANVAS_NOT_FOUND', 'Canvas not found: ' + canvasSelector);
+  }
+  const gl = canvas.getContext('webgl2', {
+    alpha: true,
+    antialias: false,
+    powerPreference: 'high-performance',
+  });
+  if (!gl) {
+    throw new WmRippleError('WEBGL2_UNAVAILABLE', 'WebGL2 not available in this browser.');
+  }
+  return { canvas, gl };
+}
+
 export default async function initRipple(opts = {}) {
   const {
     // DOM
     canvasSelector = '#wm-canvas',
 
-    // Data
-    dataUrl = '',
+    // Data: either inline `data` or a `dataUrl` to fetch
+    data        = null,   // [{x,y,r}, ...], { points, regions }, packed Float32Array
+                          // (see dataStride) or .wmp ArrayBuffer
+    dataStride  = 3,      // floats per point in packed data: 2 (x,y), 3 (x,y,r) or 4 (x,y,r,region)
+    dataUrl     = '',     // .json, or binary .wmp (by extension or content-type)
+    fetchInit   = { cache: 'no-store' }, // RequestInit for dataUrl (e.g. { cache: 'default' })
 
+    // Geography: used for {lon,lat} points and controller.project/unproject
+    projection  = 'equirectangular', // | 'mercator' | 'miller' | 'robinson' | 'equal-earth'
+    projectionWidth = 4100,          // data units spanned by 360° of longitude
+
+    // Perf knobs
+    dprCap      = 2.0,    // clamp devicePixelRatio (e.g., 1.5–2.0)
+    fpsCap      = 0,      // 0 = uncapped; otherwise 30–60 typical
+
+    stage: sharedStage = null, // set by initRippleLayers: the shared stage to draw on
+  } = opts;
+
+  // Live-tunable via controller.setOptions()
+  let {
     // Visual/behavior
+    idleColor   = null,   // any CSS color; default: --idle on :root
+    brightColor = null,   // any CSS color; default: --bright on :root
+    gradient    = null,   // ripple color by brightness: CSS colors or [offset, color] pairs
+                          // (see gradientLUT); default ['transparent', brightColor]
+    ripple      = true,   // false → static dots in idleColor (e.g. a background layer)
     targetDotPx = 4,      // ~ on-screen size of each square (CSS px)
     cornerPct   = 0.12,   // 0..1 (mapped to 0..0.5 in shader)
+    shape       = 'square', // 'square' | 'rounded-square' | 'circle' | 'hexagon' | 'diamond' | 'cross'
+                            // | { sdf: GLSL body } | { image, cols, rows } (see shapeBody)
+    edges       = 'auto',   // 'crisp' (hard, pixel-snapped) | 'smooth' (anti-aliased)
+                            // | 'auto' (crisp for 'square', smooth for other shapes)
     seedFraction= 0.20,   // fraction of points acting as ripple origins
     cycleSec    = 10,     // time for one ripple cycle
+    envelope    = 'classic', // brightness over a cycle: 'classic' | 'ping' | 'breathe' | 'double'
+                             // | 'decay' | keyframes [{ time, value, easing }] (see envelopeLUT)
     rngJitter   = 0.5,    // seconds of random phase jitter
     maxSeeds    = 64,     // cap seeds
+    origins     = null,   // [{x,y} | {lon,lat}, phase?] fixed ripple origins instead of random seeds;
+                          // phase = 0..1 fraction of a cycle (random if omitted)
+    randomSeed  = (Math.random() * 4294967296) >>> 0, // same seed + data → same layout
 
-    // Perf knobs
-    dprCap      = 2.0,    // clamp devicePixelRatio (e.g., 1.5–2.0)
-    fpsCap      = 0,      // 0 = uncapped; otherwise 30–60 typical
+    // Reduced motion: draw one still frame instead of animating
+    reducedMotion = 'auto', // 'auto' (follow prefers-reduced-motion) | 'always' | 'never'
+    stillTime   = null,     // null = all dots idle; seconds = ripple frozen at that time
+
+    // Layout (like SVG preserveAspectRatio). Layout and pan/zoom options
+    // belong to the stage's camera (one per canvas, see createStage);
+    // setOptions() forwards them there.
+    viewBox     = null,       // {x,y,w,h} data units shown; default: data bounds + padding
+    fit         = 'stretch',  // 'stretch' (fill the canvas) | 'contain' | 'cover' (keep the data aspect)
+    align       = 'xMidYMid', // x(Min|Mid|Max)Y(Min|Mid|Max)
+
+    // Interaction
+    pointerPulses = false,    // true or pulse() defaults → pulse on canvas pointerdown
+    picking     = true,       // emit wm:pointermove / wm:click with the dot under the pointer
+    pickRadiusPx= null,       // hit radius in CSS px (default: targetDotPx)
+    hoverColor  = null,       // CSS color → highlight the hovered dot in the shader
+
+    // Pan/zoom (opt-in): wheel zooms around the cursor, drag pans, two
+    // pointers pinch. Zoom 1 = the fitted view; flyTo() works either way.
+    panZoom     = false,
+    minZoom     = 1,
+    maxZoom     = 8,
+    zoomBounds  = true,       // keep the view inside the fitted (zoom 1) view
+    dotScaling  = 'constant', // 'constant' (targetDotPx at any zoom) | 'zoom' (dots grow with zoom)
+
+    // Per-point style (optional point fields color, weight, group, id)
+    groupColors = null,       // { [group]: CSS color } → color for points without their own
+    weightMode  = 'brightness', // what point.weight scales: 'brightness' | 'size' | 'both'
+
+    // Choropleth: per-point values → base color (see makeColorScale)
+    values      = null,       // number per point (index-aligned); null = use point.value
+    colorScale  = null,       // { type: 'sequential'|'diverging', stops, domain, clamp }
+                              // (default stops: --idle → --bright)
   } = opts;
 
-  // 1) Canvas + WebGL2
-  const canvas = document.querySelector(canvasSelector);
-  if (!canvas) {
-    console.error('[wm] Canvas not found:', canvasSelector);
-    return;
-  }
-  const gl = canvas.getContext('webgl2', {
-    alpha: true,
-    antialias: false,
-    powerPreference: 'high-performance',
-  });
-  if (!gl) {
-    console.error('[wm] WebGL2 not available in this browser.');
-    return;
-  }
+  checkFit(fit);
+  parseAlign(align); // these throw OPTION_INVALID for unknown values
+  checkEdges(edges);
+  const geo = makeProjection(projection, projectionWidth);
 
-  // 2) Colors from CSS (linear)
-  const idleHex   = getComputedStyle(document.documentElement).getPropertyValue('--idle').trim()   || '#276C8C';
-  const brightHex = getComputedStyle(document.documentElement).getPropertyValue('--bright').trim() || '#5FDEDE';
-  const IDLE   = cssHexToLinearRGB(idleHex);
-  const BRIGHT = cssHexToLinearRGB(brightHex);
+  // 1) Canvas + WebGL2, and the stage that owns the canvas: draw loop,
+  // camera and DOM listeners (see createStage). Layers get theirs from
+  // initRippleLayers.
+  const { canvas, gl } = sharedStage || getCanvasContext(canvasSelector);
+  const stage = sharedStage ||
+    createStage(canvas, gl, { fpsCap, dprCap, viewBox, fit, align, panZoom, minZoom, maxZoom, zoomBounds });
 
-  // 3) Load grid data
-  if (!dataUrl) { console.error('[wm] dataUrl is required.'); return; }
-  let pts;
-  try {
-    const res = await fetch(dataUrl, { cache: 'no-store' });
-    if (!res.ok) throw new Error('HTTP ' + res.status);
-    pts = await res.json();
-  } catch (e) {
-    console.error('[wm] Failed to fetch data:', e?.message || e);
-    return;
+  // 2) Colors: idleColor/brightColor, else from CSS (linear)
+  const rootStyle = getComputedStyle(document.documentElement);
+  let idleCss, brightCss, IDLE, BRIGHT;
+  function resolveColors() {
+    idleCss   = idleColor   || rootStyle.getPropertyValue('--idle').trim()   || '#276C8C';
+    brightCss = brightColor || rootStyle.getPropertyValue('--bright').trim() || '#5FDEDE';
+    IDLE   = cssColorToLinearRGB(idleCss, 'idleColor');
+    BRIGHT = cssColorToLinearRGB(brightCss, 'brightColor');
   }
-  if (!Array.isArray(pts) || !pts.length) {
-    console.error('[wm] Data is empty/invalid.');
-    return;
+  resolveColors();
+  if (hoverColor) cssColorToLinearRGB(hoverColor, 'hoverColor');
+
+  // 3) Load grid data (inline or fetched; JSON or binary .wmp),
+  // normalised to [{x,y,r}, ...]
+  let raw = data;
+  let stride = dataStride;
+  if (raw == null) {
+    if (!dataUrl) throw new WmRippleError('DATA_INVALID', 'data or dataUrl is required.');
+    let res;
+    try {
+      res = await fetch(dataUrl, fetchInit);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+    } catch (e) {
+      throw new WmRippleError('DATA_FETCH_FAILED', 'Failed to fetch data: ' + (e?.message || e), { cause: e });
+    }
+    const path = String(dataUrl).split(/[?#]/)[0];
+    const type = res.headers.get('content-type') || '';
+    const binary = /\.(wmp|bin)$/i.test(path) ||
+      (!/\.json$/i.test(path) && /octet-stream|x-wmp/i.test(type));
+    try {
+      raw = binary ? await res.arrayBuffer() : await res.json();
+    } catch (e) {
+      throw new WmRippleError('DATA_INVALID', 'Data could not be read: ' + (e?.message || e), { cause: e });
+    }
   }
 
-  // 4) Compute bounds & padding (SVG-like viewBox)
-  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, maxR = 0;
-  for (const p of pts) {
-    if (p.x < minX) minX = p.x;
-    if (p.y < minY) minY = p.y;
-    if (p.x > maxX) maxX = p.x;
-    if (p.y > maxY) maxY = p.y;
-    if ((p.r || 0) > maxR) maxR = p.r || 0;
+  // Inline or decoded data → points + region dictionary. The dictionary
+  // comes from a { points, regions } container or the .wmp region table;
+  // `regions` may be keyed by id or a list of { id, ... }. setData() reuses
+  // this for replacement data.
+  function parseData(raw, stride) {
+    let regionSrc = null;
+    if (raw instanceof ArrayBuffer) {
+      ({ points: raw, stride, regions: regionSrc } = decodePoints(raw));
+    } else if (raw && !Array.isArray(raw) && !(raw instanceof Float32Array) && raw.points) {
+      ({ points: raw, regions: regionSrc = null } = raw);
+    }
+    const regionList = Array.isArray(regionSrc)
+      ? regionSrc
+      : Object.entries(regionSrc || {}).map(([id, info]) => ({ ...info, id }));
+    return { pts: normalizePoints(raw, stride, geo, regionList.map((r) => r.id)), regionList };
   }
-  const pad = Math.max(maxR, 1);
-  const vbX = minX - pad, vbY = minY - pad;
-  const vbW = (maxX - minX) + pad * 2;
-  const vbH = (maxY - minY) + pad * 2;
+  let { pts, regionList } = parseData(raw, stride);
+  let regions = new Map(regionList.map((r) => [String(r.id), r])); // id → info
+
+  // 4) Compute bounds & padding. `dataBox` is the padded data extent, which
+  // the stage fits into view unless a viewBox is set. Wave speed follows the
+  // data (diag), so pinning the viewBox keeps phases.
+  let minX, minY, maxX, maxY, diag;
+  const dataBox = { x: 0, y: 0, w: 1, h: 1 };
+  function computeBounds() {
+    let maxR = 0;
+    minX = minY = Infinity;
+    maxX = maxY = -Infinity;
+    for (const p of pts) {
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y > maxY) maxY = p.y;
+      if ((p.r || 0) > maxR) maxR = p.r || 0;
+    }
+    const pad = Math.max(maxR, 1);
+    dataBox.x = minX - pad;
+    dataBox.y = minY - pad;
+    dataBox.w = (maxX - minX) + pad * 2;
+    dataBox.h = (maxY - minY) + pad * 2;
+    diag = Math.hypot(dataBox.w, dataBox.h);
+  }
+  computeBounds();
 
   // 5) Seeds (origins) + delays computed from ORIGINAL positions (stable phase)
-  const indices = Array.from(pts.keys());
-  for (let i = indices.length - 1; i > 0; i--) {
-    const j = (Math.random() * (i + 1)) | 0;
-    [indices[i], indices[j]] = [indices[j], indices[i]];
+  let N = pts.length;
+
+  // Each random use draws from its own stream of the seeded PRNG, so e.g.
+  // changing rngJitter re-rolls jitter without reshuffling the seeds.
+  const rngStream = (k) => mulberry32(seedToUint32(randomSeed) ^ Math.imul(k, 0x9E3779B1));
+
+  // Seeds are a prefix of this shuffled order, so changing
+  // seedFraction/maxSeeds later grows or shrinks the same seed set.
+  let seedOrder = Array.from(pts.keys());
+  function shuffleSeeds() {
+    const rand = rngStream(1);
+    for (let i = seedOrder.length - 1; i > 0; i--) {
+      const j = (rand() * (i + 1)) | 0;
+      [seedOrder[i], seedOrder[j]] = [seedOrder[j], seedOrder[i]];
+    }
   }
-  const seedCountBase = Math.round(pts.length * seedFraction);
-  const seedCount = Math.max(1, Math.min(maxSeeds, seedCountBase));
-  const seedIdxs  = indices.slice(0, seedCount).sort((a, b) => a - b);
-  const seeds     = seedIdxs.map(i => pts[i]);
-  const seedPhase = seeds.map(() => Math.random() * cycleSec);
 
-  const diag = Math.hypot(vbW, vbH);
-  const waveSpeed = diag / (cycleSec * 0.60); // traverse ~60% of bbox per cycle
+  let instDelay = new Float32Array(N);
+  let seeds = [];
+  let seedPhase = []; // fraction of a cycle (0..1), scaled by cycleSec
 
-  const N = pts.length;
-  const instDelay   = new Float32Array(N);
+  // Fixed origins → seed list ({x,y} in data units, lon/lat projected)
+  function resolveOrigins(list) {
+    return list.map((o, i) => {
+      const [x, y] = (o.x == null && o.lon != null && o.lat != null)
+        ? geo.project(+o.lon, +o.lat)
+        : [+o.x, +o.y];
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new WmRippleError('DATA_INVALID', `Origin ${i} needs numeric x/y or lon/lat.`);
+      }
+      return { x, y, phase: o.phase };
+    });
+  }
+
+  function pickSeeds() {
+    const rand = rngStream(2);
+    if (origins && origins.length) {
+      seeds     = resolveOrigins(origins);
+      seedPhase = seeds.map((S) => (S.phase != null ? ((+S.phase % 1) + 1) % 1 : rand()));
+      return;
+    }
+    const seedCountBase = Math.round(N * seedFraction);
+    const seedCount = Math.max(1, Math.min(maxSeeds, seedCountBase));
+    const seedIdxs  = seedOrder.slice(0, seedCount).sort((a, b) => a - b);
+    seeds     = seedIdxs.map(i => pts[i]);
+    seedPhase = seeds.map(() => rand());
+  }
 
   // delays use original positions to avoid phase jumps on resize
-  for (let i = 0; i < N; i++) {
-    const p = pts[i];
-    // nearest seed → distance → travel time
-    let best = Infinity, bestIdx = 0;
-    for (let s = 0; s < seeds.length; s++) {
-      const S = seeds[s];
-      const d = Math.hypot(p.x - S.x, p.y - S.y);
-      if (d < best) { best = d; bestIdx = s; }
-    }
-    const travelSec = best / waveSpeed;
-    const jitter    = (Math.random() - 0.5) * rngJitter;
-    let phaseSec    = seedPhase[bestIdx] + travelSec + jitter;
-    phaseSec = -(phaseSec % cycleSec);
-    if (phaseSec === 0) phaseSec = -0.0001;
-    instDelay[i] = phaseSec;
+  function computeDelays() {
+    const waveSpeed = diag / (cycleSec * 0.60); // traverse ~60% of bbox per cycle
+    const rand = rngStream(3);
+    for (let i = 0; i < N; i++) {
+      const p = pts[i];
+      // nearest seed → distance → travel time
+      let best = Infinity, bestIdx = 0;
+      for (let s = 0; s < seeds.length; s++) {
+        const S = seeds[s];
+        const d = Math.hypot(p.x - S.x, p.y - S.y);
+        if (d < best) { best = d; bestIdx = s; }
+      }
+      const travelSec = best / waveSpeed;
+      const jitter    = (rand() - 0.5) * rngJitter;
+      let phaseSec    = seedPhase[bestIdx] * cycleSec + travelSec + jitter;
+      phaseSec = -(phaseSec % cycleSec);
+      if (phaseSec === 0) phaseSec = -0.0001;
+      instDelay[i] = phaseSec;
+    }
+  }
+
+  shuffleSeeds();
+  pickSeeds();
+  computeDelays();
+
+  // Per-point style → instance attributes. The base color replacing the idle
+  // color is, in order: `color` (CSS color), groupColors[group], then the
+  // choropleth value through colorScale. `weight` multiplies ripple
+  // brightness and/or dot size (see weightMode). `id`/`group` stay on pts for
+  // pick events and setPointStyle().
+  let instColor  = new Float32Array(N * 4); // linear RGB, a = 1 when set
+  let instWeight = new Float32Array(N);
+  let instSprite = new Float32Array(N); // atlas cell (shape: { image })
+
+  function checkValues(list) {
+    if (list != null && list.length !== N) {
+      throw new WmRippleError('DATA_INVALID', `values has ${list.length} entries, expected one per point (${N}).`);
+    }
+    return list;
+  }
+  checkValues(values);
+
+  // Point, group and colorScale colors that the browser cannot parse throw
+  // OPTION_INVALID; callers check before changing any state
+  function checkColors(list, what) {
+    for (const c of list) if (c != null && c !== '') cssColorToLinearRGB(c, what);
+  }
+  const stopColors = (scale) => (scale?.stops || []).map((s) => (Array.isArray(s) ? s[1] : s));
+
+  function computePointStyles() {
+    const vals = values ?? pts.map((p) => p.value);
+    const scale = vals.some((v) => v != null)
+      ? makeColorScale(colorScale || {}, vals, [idleCss, brightCss])
+      : null;
+    for (let i = 0; i < N; i++) {
+      const p = pts[i];
+      const css = p.color ?? (groupColors && p.group != null ? groupColors[p.group] : null);
+      const rgb = css ? cssColorToLinearRGB(css, 'point color') : scale && scale(vals[i]);
+      if (rgb) {
+        instColor.set(rgb, i * 4);
+        instColor[i * 4 + 3] = 1;
+      } else {
+        instColor.fill(0, i * 4, i * 4 + 4);
+      }
+      const w = p.weight == null ? 1 : +p.weight;
+      instWeight[i] = Number.isFinite(w) && w >= 0 ? w : 1;
+      instSprite[i] = p.sprite >= 0 ? Math.floor(p.sprite) : 0;
+    }
+  }
+  computePointStyles();
+
+  // Region highlights (highlightRegion) → aHighlight, mixed into the base color
+  const highlights = new Map(); // region id (string) → [linear RGB, amount]
+  let instHighlight = new Float32Array(N * 4);
+
+  function computeHighlights() {
+    instHighlight.fill(0, 0, N * 4);
+    if (!highlights.size) return;
+    for (let i = 0; i < N; i++) {
+      const h = pts[i].region != null && highlights.get(String(pts[i].region));
+      if (h) instHighlight.set(h, i * 4);
+    }
   }
 
   // 6) Geometry: unit quad (2 triangles)
@@ -155,157 +936,1194 @@ export default async function initRipple(opts = {}) {
     -0.5,  0.5,   0.5, -0.5,   0.5,  0.5
   ]);
 
-  // Buffers & VAO
-  const vao = gl.createVertexArray();
-  gl.bindVertexArray(vao);
-
-  const quadBuf = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, quadBuf);
-  gl.bufferData(gl.ARRAY_BUFFER, quadVerts, gl.STATIC_DRAW);
-
-  const centerBuf = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, centerBuf);
-  // we'll fill centerBuf after we compute quantized centers (depends on canvas size)
-
-  const delayBuf = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, delayBuf);
-  gl.bufferData(gl.ARRAY_BUFFER, instDelay, gl.STATIC_DRAW);
-
   // 7) Shaders (GLSL ES 3.00)
+  const MAX_PULSES = 16;
   const vertSrc = `#version 300 es
     layout(location=0) in vec2 aPos;     // quad vertex (-0.5..0.5)
     layout(location=1) in vec2 aCenter;  // instance center (data units, quantized)
     layout(location=2) in float aDelay;  // instance delay (seconds)
+    layout(location=3) in vec4 aColor;   // instance idle color (linear RGB, a = 1 if set)
+    layout(location=4) in float aWeight; // instance weight (1 = neutral)
+    layout(location=5) in vec4 aHighlight; // region highlight (linear RGB, amount)
+    layout(location=6) in vec2 aFrom;    // setData morph: start center (quantized)
+    layout(location=7) in vec2 aFade;    // setData morph: visibility at start, end
+    layout(location=8) in float aSprite; // sprite atlas cell index
 
-    uniform vec3 uBounds;  // (vbX, vbY, dotSizeData)
+    uniform vec4 uBounds;  // (vbX, vbY, dotSizeData.x, dotSizeData.y)
     uniform vec2 uScale;   // data -> NDC
     uniform vec2 uOffset;  // data -> NDC
+    uniform vec2 uAAPad;   // smooth edges: quad grown by this (1 device px, data units) per side
+    uniform vec2 uWeightMode; // aWeight applies to (brightness, size): 0 or 1 each
+    uniform float uMorph;  // eased setData morph progress, 1 = at rest
+
+    // On-demand pulses: expanding rings blended over the ambient ripple
+    #define MAX_PULSES ${MAX_PULSES}
+    uniform float uTime;
+    uniform int   uPulseCount;
+    uniform vec4  uPulse[MAX_PULSES];      // (x, y, startTime, speed) data units / s
+    uniform vec4  uPulseColor[MAX_PULSES]; // (linear RGB, strength)
+    uniform vec2  uPulseShape[MAX_PULSES]; // (radius, ring duration s)
 
     out vec2 vLocal;
     out float vDelay;
+    out vec4 vPulse;       // (linear RGB, weight) of the pulses at this dot
+    flat out float vHover; // 1 for the picked (hovered) instance
+    flat out vec4 vColor;
+    flat out vec4 vHighlight;
+    out float vVisible;    // morph fade in/out
+    flat out float vSprite; // sprite atlas cell (shape: { image })
+    flat out float vWeight; // ripple brightness multiplier
+
+    uniform int uHover;    // hovered instance index, -1 = none
 
     void main() {
-      vLocal = aPos;
       vDelay = aDelay;
-      float s = uBounds.z;                // square size in data units
-      vec2 posData = aCenter + aPos * s;  // data-space vertex
+      vec2 center = mix(aFrom, aCenter, uMorph);
+      vVisible = mix(aFade.x, aFade.y, uMorph);
+
+      vec3 pc = vec3(0.0);
+      float pw = 0.0;
+      for (int i = 0; i < MAX_PULSES; i++) {
+        if (i >= uPulseCount) break;
+        vec4 P = uPulse[i];
+        float d = distance(center, P.xy);
+        float front = (uTime - P.z) * P.w;                     // ring radius now
+        float x = (front - d) / (P.w * uPulseShape[i].y);      // 0..1 while passing
+        float w = x < 0.0 || x > 1.0 ? 0.0 : (x < 0.1 ? x / 0.1 : 1.0 - (x - 0.1) / 0.9);
+        w *= uPulseColor[i].a * clamp(1.0 - d / uPulseShape[i].x, 0.0, 1.0);
+        if (w > 0.0) {
+          pc = mix(pc, uPulseColor[i].rgb, w / (pw + w));      // weighted color
+          pw = max(pw, w);
+        }
+      }
+      vPulse = vec4(pc, clamp(pw, 0.0, 1.0));
+      vHover = gl_InstanceID == uHover ? 1.0 : 0.0;
+      vColor = aColor;
+      vHighlight = aHighlight;
+      vSprite = aSprite;
+      vWeight = mix(1.0, aWeight, uWeightMode.x);
+
+      vec2 s = uBounds.zw * mix(1.0, aWeight, uWeightMode.y); // square size in data units (x, y)
+      vec2 quad = s + 2.0 * uAAPad;       // room for the anti-aliased fringe
+      vLocal = aPos * quad / s;           // dot-local coords, ±0.5 at the dot edge
+      vec2 posData = center + aPos * quad; // data-space vertex
       vec2 posNDC  = posData * uScale + uOffset;
       gl_Position  = vec4(posNDC, 0.0, 1.0);
     }`;
 
-  const fragSrc = `#version 300 es
+  // Rebuilt (with the program) when `shape` changes
+  const buildFragSrc = () => `#version 300 es
     precision highp float;
     in vec2 vLocal;
     in float vDelay;
+    in vec4 vPulse;
+    flat in float vHover;
+    flat in vec4 vColor;
+    flat in vec4 vHighlight;
+    in float vVisible;
+    flat in float vWeight;
+    flat in float vSprite;
 
     uniform float uTime;
     uniform float uCycle;
     uniform float uCorner; // 0..0.5 in half-size space
     uniform vec3  uIdle;   // linear RGB
-    uniform vec3  uBright; // linear RGB
+    uniform float uRipple; // 1 = ripple on, 0 = all idle (still frame)
+    uniform vec4  uHoverColor; // (linear RGB, amount)
+    uniform sampler2D uSprite;  // sprite atlas (shape: { image })
+    uniform vec2  uSpriteGrid;  // atlas (cols, rows)
+    uniform float uSmooth;      // 1 = anti-aliased edges, 0 = hard edges
+    uniform sampler2D uEnvelope; // ripple brightness over one cycle (envelopeLUT)
+    uniform sampler2D uGradient; // ripple color by brightness, premultiplied (gradientLUT)
 
     out vec4 outColor;
 
-    // Rounded-rect mask in local coords [-0.5,0.5]
-    float roundedRectMask(vec2 uv, float corner){
-      vec2 a = abs(uv) - 0.5 + vec2(corner);
-      float outside = max(a.x, a.y);
-      float m = step(outside, 0.0);
-      vec2 q = max(a, 0.0);
-      float r = length(q) - corner;
-      m *= step(r, 0.0);
-      return m;
+    // Signed distance helpers, local coords [-0.5,0.5]
+    float sdBox(vec2 p, vec2 b){
+      vec2 q = abs(p) - b;
+      return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0);
+    }
+    float sdHexagon(vec2 p, float r){ // r = apothem
+      const vec3 k = vec3(-0.866025404, 0.5, 0.577350269);
+      p = abs(p);
+      p -= 2.0 * min(dot(k.xy, p), 0.0) * k.xy;
+      p -= vec2(clamp(p.x, -k.z * r, k.z * r), r);
+      return length(p) * sign(p.y);
     }
 
-    // Ripple brightness window:
-    //   ~3% fade-in → 7% hold → 90% fade-out
+    // Dot shape (see SHAPES / shapeBody)
+    float shapeSDF(vec2 p, float corner){
+      ${shapeBody(shape)}
+    }
+
+    // Ripple brightness window, sampled at texel centers so tNorm 0 and 1
+    // hit the first and last keyframe values exactly
     float rippleWindow(float tNorm){
-      if (tNorm < 0.03) return smoothstep(0.0, 0.03, tNorm);
-      else if (tNorm < 0.10) return 1.0;
-      float k = (tNorm - 0.10) / 0.90;
-      return 1.0 - k;
+      const float n = ${ENVELOPE_SIZE.toFixed(1)};
+      return texture(uEnvelope, vec2((tNorm * (n - 1.0) + 0.5) / n, 0.5)).r;
     }
 
     void main(){
-      float mask = roundedRectMask(vLocal, clamp(uCorner, 0.0, 0.49));
-      if (mask <= 0.0) discard;
+      // Edge coverage: hard step, or ~1 px wide ramp from the distance's
+      // screen-space derivative (blended, premultiplied)
+      float d = shapeSDF(vLocal, clamp(uCorner, 0.0, 0.49));
+      float aa = fwidth(d);
+      float cover = uSmooth > 0.5 ? clamp(0.5 - d / max(aa, 1e-6), 0.0, 1.0) : step(d, 0.0);
+      float alpha = cover * vVisible;
+      if (alpha <= 0.0) discard;
 
       float t = uTime + vDelay;
       float tCycle = mod(t, uCycle);
       float tNorm  = tCycle / uCycle;
 
-      float w = rippleWindow(tNorm);
-      vec3 col = mix(uIdle, uBright, w);
+      float w = clamp(rippleWindow(tNorm) * uRipple * vWeight, 0.0, 1.0);
+      vec3 base = mix(uIdle, vColor.rgb, vColor.a);
+      base = mix(base, vHighlight.rgb, vHighlight.a);
+      const float gn = ${GRADIENT_SIZE.toFixed(1)};
+      vec4 grad = texture(uGradient, vec2((w * (gn - 1.0) + 0.5) / gn, 0.5));
+      vec3 col = base * (1.0 - grad.a) + grad.rgb;
+      col = mix(col, vPulse.rgb, vPulse.a);
+      col = mix(col, uHoverColor.rgb, vHover * uHoverColor.a);
 
-      outColor = vec4(col, 1.0);
+      outColor = vec4(col * alpha, alpha); // premultiplied, like the canvas
     }`;
 
-  const program = createProgram(gl, vertSrc, fragSrc);
-  gl.useProgram(program);
-
-  // Attribute bindings
-  const locPos    = 0;
-  const locCenter = 1;
-  const locDelay  = 2;
-
-  gl.bindBuffer(gl.ARRAY_BUFFER, quadBuf);
-  gl.enableVertexAttribArray(locPos);
-  gl.vertexAttribPointer(locPos, 2, gl.FLOAT, false, 0, 0);
-  gl.vertexAttribDivisor(locPos, 0);
-
-  gl.bindBuffer(gl.ARRAY_BUFFER, centerBuf);
-  gl.enableVertexAttribArray(locCenter);
-  gl.vertexAttribPointer(locCenter, 2, gl.FLOAT, false, 0, 0);
-  gl.vertexAttribDivisor(locCenter, 1);
-
-  gl.bindBuffer(gl.ARRAY_BUFFER, delayBuf);
-  gl.enableVertexAttribArray(locDelay);
-  gl.vertexAttribPointer(locDelay, 1, gl.FLOAT, false, 0, 0);
-  gl.vertexAttribDivisor(locDelay, 1);
-
-  // Uniform locations
-  const uBounds = gl.getUniformLocation(program, 'uBounds');
-  const uScale  = gl.getUniformLocation(program, 'uScale');
-  const uOffset = gl.getUniformLocation(program, 'uOffset');
-  const uTime   = gl.getUniformLocation(program, 'uTime');
-  const uCycle  = gl.getUniformLocation(program, 'uCycle');
-  const uCorner = gl.getUniformLocation(program, 'uCorner');
-  const uIdle   = gl.getUniformLocation(program, 'uIdle');
-  const uBright = gl.getUniformLocation(program, 'uBright');
-
-  // Static uniforms
-  gl.uniform1f(uCycle,  cycleSec);
-  gl.uniform1f(uCorner, cornerPct * 0.5); // map 0..1 to 0..0.5 of half-size
-  gl.uniform3fv(uIdle,   IDLE);
-  gl.uniform3fv(uBright, BRIGHT);
-
-  // Transform mapping data space -> NDC (like SVG viewBox; Y up)
-  let dotSizeData = 1;
+  // 8) GL resources. Everything below lives on the GPU and is lost with the
+  // context; CPU-side state (pts, instDelay, quantized centers, options) is
+  // kept so createGLResources() can rebuild it after webglcontextrestored.
+  // Layers (initRippleLayers) share one context, so uniform writes and
+  // draws bind this instance's program first.
+  const UNIFORMS = ['uBounds', 'uScale', 'uOffset', 'uTime', 'uCycle', 'uCorner', 'uIdle', 'uRipple',
+    'uPulseCount', 'uPulse', 'uPulseColor', 'uPulseShape', 'uHover', 'uHoverColor', 'uWeightMode',
+    'uMorph', 'uSprite', 'uSpriteGrid',
+    'uSmooth', 'uAAPad', 'uEnvelope', 'uGradient'];
+  const U = {};
+  let envelopeData = envelopeLUT(envelope);
+  const gradientStops = (stops) => stops || ['transparent', brightCss];
+  let gradientData = gradientLUT(gradientStops(gradient));
+
+  // Per-instance attributes: name → shader location, float components and
+  // the CPU array that backs them (re-sent with uploadAttr after changes).
+  const INSTANCE_ATTRS = {
+    center: { loc: 1, size: 2, data: () => instCentersQuant }, // aCenter
+    delay:  { loc: 2, size: 1, data: () => instDelay },        // aDelay
+    color:  { loc: 3, size: 4, data: () => instColor },        // aColor
+    weight: { loc: 4, size: 1, data: () => instWeight },       // aWeight
+    highlight: { loc: 5, size: 4, data: () => instHighlight }, // aHighlight
+    from:   { loc: 6, size: 2, data: () => instFromQuant },    // aFrom
+    fade:   { loc: 7, size: 2, data: () => instFade },         // aFade
+    sprite: { loc: 8, size: 1, data: () => instSprite },       // aSprite
+  };
+  const bufs = {};
+  let program = null, vao = null, quadBuf = null, spriteTex = null, envelopeTex = null;
+  let gradientTex = null;
+
+  function uploadAttr(name) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, bufs[name]);
+    gl.bufferData(gl.ARRAY_BUFFER, INSTANCE_ATTRS[name].data(), gl.DYNAMIC_DRAW);
+  }
+
+  function deleteGLResources() {
+    gl.bindVertexArray(null);
+    gl.deleteVertexArray(vao);
+    gl.deleteBuffer(quadBuf);
+    for (const name in bufs) {
+      gl.deleteBuffer(bufs[name]);
+      delete bufs[name];
+    }
+    gl.deleteProgram(program);
+    gl.deleteTexture(spriteTex);
+    gl.deleteTexture(envelopeTex);
+    gl.deleteTexture(gradientTex);
+    program = vao = quadBuf = spriteTex = envelopeTex = gradientTex = null;
+  }
+
+  // Half float: the envelope drives the gradient lookup, so 8 bits would
+  // show as steps over a long fade
+  function uploadEnvelope() {
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, envelopeTex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R16F, ENVELOPE_SIZE, 1, 0, gl.RED, gl.FLOAT, envelopeData);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  // Half float too, so dark linear colors do not band
+  function uploadGradient() {
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, gradientTex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, GRADIENT_SIZE, 1, 0, gl.RGBA, gl.FLOAT, gradientData);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  function createGLResources() {
+    // Buffers & VAO
+    vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+
+    quadBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, quadVerts, gl.STATIC_DRAW);
+
+    for (const name in INSTANCE_ATTRS) {
+      bufs[name] = gl.createBuffer();
+      uploadAttr(name);
+    }
+
+    try {
+      program = createProgram(gl, vertSrc, buildFragSrc());
+    } catch (e) {
+      deleteGLResources();
+      throw e;
+    }
+    gl.useProgram(program);
+
+    // Attribute bindings: aPos per vertex, the rest per instance
+    const locPos = 0;
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuf);
+    gl.enableVertexAttribArray(locPos);
+    gl.vertexAttribPointer(locPos, 2, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(locPos, 0);
+
+    for (const name in INSTANCE_ATTRS) {
+      const { loc, size } = INSTANCE_ATTRS[name];
+      gl.bindBuffer(gl.ARRAY_BUFFER, bufs[name]);
+      gl.enableVertexAttribArray(loc);
+      gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
+      gl.vertexAttribDivisor(loc, 1);
+    }
+
+    // Uniform locations
+    for (const name of UNIFORMS) U[name] = gl.getUniformLocation(program, name);
+
+    // Static uniforms (updated in place by setOptions)
+    gl.uniform1f(U.uCycle,  cycleSec);
+    gl.uniform1f(U.uCorner, cornerPct * 0.5); // map 0..1 to 0..0.5 of half-size
+    uploadColors();
+    gl.uniform1f(U.uRipple, 1);
+    if (shape && shape.image) {
+      spriteTex = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, spriteTex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, shape.image);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.uniform1i(U.uSprite, 0);
+      gl.uniform2f(U.uSpriteGrid, Math.max(1, shape.cols | 0), Math.max(1, shape.rows | 0));
+    }
+    envelopeTex = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, envelopeTex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(U.uEnvelope, 1);
+    uploadEnvelope();
+    gradientTex = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, gradientTex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(U.uGradient, 2);
+    uploadGradient();
+    uploadWeightMode();
+    uploadMorph();
+    uploadPulses();
+    uploadHover();
+
+    // GL state
+    gl.disable(gl.DEPTH_TEST);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA); // premultiplied output
+    gl.clearColor(0, 0, 0, 0);
+  }
+
+  function uploadColors() {
+    gl.useProgram(program);
+    gl.uniform3fv(U.uIdle, IDLE);
+  }
+
+  function uploadWeightMode() {
+    gl.useProgram(program);
+    gl.uniform2f(U.uWeightMode, weightMode === 'size' ? 0 : 1, weightMode === 'brightness' ? 0 : 1);
+  }
+
+  // Transform mapping data space -> NDC (like SVG viewBox; Y up). The camera
+  // is the stage's: `base` is the fitted rect and `view` the data-space rect
+  // the canvas shows, both updated in place; viewChanged → applyView().
+  const { base, view, css } = stage;
+  const dotSizeData = [1, 1];
+
+  // View → dot size and pixel-snapped centers; call after any change to
+  // the view or to the dot options
+  function applyView() {
+    // dotSizeData: size in DATA units that will become ~targetDotPx in CSS px
+    // on each axis (differs per axis only with fit: 'stretch'); with
+    // dotScaling 'zoom' it is fixed at the zoom-1 size and grows on screen.
+    const ref = dotScaling === 'zoom' ? base : view;
+    dotSizeData[0] = targetDotPx / Math.max(css.w / ref.w, 1e-6);
+    dotSizeData[1] = targetDotPx / Math.max(css.h / ref.h, 1e-6);
+
+    // BUT for **pixel snapping**, quantize by **device pixels**:
+    updateQuantizedCenters(canvas.width / view.w, canvas.height / view.h);
+
+    updateTransforms();
+    requestDraw();
+  }
+
+  const smoothEdges = () => edges === 'smooth' || (edges === 'auto' && shape !== 'square');
 
   function updateTransforms() {
-    const sx =  2.0 / vbW;
-    const sy = -2.0 / vbH; // flip Y to screen coords
-    const ox = -1.0 - vbX * sx;
-    const oy =  1.0 - vbY * sy;
-    gl.uniform3f(uBounds, vbX, vbY, dotSizeData);
-    gl.uniform2f(uScale,  sx, sy);
-    gl.uniform2f(uOffset, ox, oy);
+    const sx =  2.0 / view.w;
+    const sy = -2.0 / view.h; // flip Y to screen coords
+    const ox = -1.0 - view.x * sx;
+    const oy =  1.0 - view.y * sy;
+    gl.useProgram(program);
+    gl.uniform4f(U.uBounds, view.x, view.y, dotSizeData[0], dotSizeData[1]);
+    gl.uniform2f(U.uScale,  sx, sy);
+    gl.uniform2f(U.uOffset, ox, oy);
+    const smooth = smoothEdges();
+    gl.uniform1f(U.uSmooth, smooth ? 1 : 0);
+    gl.uniform2f(U.uAAPad, smooth ? view.w / canvas.width : 0, smooth ? view.h / canvas.height : 0);
   }
 
   // === Quantized centers (CPU) for pixel-perfect alignment ===
   // We keep original pts immutable for delay math (no phase jumps).
-  const instCentersQuant = new Float32Array(N * 2);
+  let instCentersQuant = new Float32Array(N * 2);
 
-  function updateQuantizedCenters(devicePixelsPerDataX) {
-    // Quant step in data units that corresponds to 1 device pixel along X.
-    const quant = 1 / Math.max(devicePixelsPerDataX, 1e-6);
-    for (let i = 0; i < N; i++) {
-      const p = pts[i];
-      instCentersQuant[i * 2 + 0] = Math.round(p.x / quant) * quant;
-      instCentersQuant[i * 2 + 1] = Math.round(p.y / quant) * quant;
+  function updateQuantizedCenters(devicePixelsPerDataX, devicePixelsPerDataY) {
+    // Quant steps in data units that correspond to 1 device pixel per axis,
+    // measured from the view origin so the grid lines up with the pixels.
+    const qx = 1 / Math.max(devicePixelsPerDataX, 1e-6);
+    const qy = 1 / Math.max(devicePixelsPerDataY, 1e-6);
+    const snapX = (x) => view.x + Math.round((x - view.x) / qx) * qx;
+    const snapY = (y) => view.y + Math.round((y - view.y) / qy) * qy;
+    const count = N + ghosts.length;
+    for (let i = 0; i < count; i++) {
+      const p = i < N ? pts[i] : ghosts[i - N];
+      instCentersQuant[i * 2 + 0] = snapX(p.x);
+      instCentersQuant[i * 2 + 1] = snapY(p.y);
+    }
+    uploadAttr('center');
+    if (!morph) return; // morph start positions only matter mid-morph
+    for (let i = 0; i < count; i++) {
+      instFromQuant[i * 2 + 0] = snapX(instFrom[i * 2 + 0]);
+      instFromQuant[i * 2 + 1] = snapY(instFrom[i * 2 + 1]);
+    }
+    uploadAttr('from');
+  }
+
+  // === On-demand pulses ===
+  // Live pulses sit in uniform arrays (oldest dropped past MAX_PULSES) and
+  // are pruned once their ring has left `radius`.
+  const PULSE_RING_SEC = 1.2; // how long each dot stays lit as the ring passes
+  const pulses = [];
+  const pulseData  = new Float32Array(MAX_PULSES * 4);
+  const pulseColor = new Float32Array(MAX_PULSES * 4);
+  const pulseShape = new Float32Array(MAX_PULSES * 2);
+
+  function uploadPulses() {
+    pulses.forEach((P, i) => {
+      pulseData.set([P.x, P.y, P.start, P.speed], i * 4);
+      pulseColor.set([P.color[0], P.color[1], P.color[2], P.strength], i * 4);
+      pulseShape.set([P.radius, P.ringSec], i * 2);
+    });
+    gl.useProgram(program);
+    gl.uniform1i(U.uPulseCount, pulses.length);
+    if (pulses.length) {
+      gl.uniform4fv(U.uPulse, pulseData, 0, pulses.length * 4);
+      gl.uniform4fv(U.uPulseColor, pulseColor, 0, pulses.length * 4);
+      gl.uniform2fv(U.uPulseShape, pulseShape, 0, pulses.length * 2);
+    }
+  }
+
+  function prunePulses() {
+    const before = pulses.length;
+    for (let i = pulses.length - 1; i >= 0; i--) {
+      if (animSec > pulses[i].end) pulses.splice(i, 1);
+    }
+    if (pulses.length !== before) uploadPulses();
+  }
+
+  // Pulse color (linear RGB) for pulse() / pointerPulses fields; a strength
+  // that is not a number or a color the browser cannot parse throws OPTION_INVALID
+  function checkPulse({ strength = 1, color } = {}) {
+    checkNumber(strength, 'pulse strength');
+    return color ? cssColorToLinearRGB(color, 'pulse color') : BRIGHT;
+  }
+
+  // {x,y} | {lon,lat}, strength 0..1, speed (data units/s), color (CSS color),
+  // radius (data units, ring fades out by then)
+  function addPulse({ x, y, lon, lat, strength = 1, speed, color, radius } = {}) {
+    if (play.destroyed) return false;
+    const rgb = checkPulse({ strength, color });
+    if (play.reducedMotion || !play.ripple) return false;
+    if (x == null && lon != null && lat != null) [x, y] = geo.project(+lon, +lat);
+    if (!Number.isFinite(+x) || !Number.isFinite(+y)) return false;
+    const sp = speed > 0 ? +speed : diag / (cycleSec * 0.60); // ambient wave speed
+    const rad = radius > 0 ? +radius : diag;
+    const P = {
+      x: +x, y: +y,
+      start: animSec,
+      speed: sp,
+      strength: Math.max(0, Math.min(1, +strength)),
+      color: rgb,
+      radius: rad,
+      ringSec: PULSE_RING_SEC,
+      end: animSec + rad / sp + PULSE_RING_SEC,
+    };
+    if (pulses.length >= MAX_PULSES) pulses.shift();
+    pulses.push(P);
+    uploadPulses();
+    requestDraw();
+    return true;
+  }
+
+  // === Picking ===
+  // Hit-test against the ORIGINAL positions (not the pixel-snapped ones) via
+  // a spatial grid; the current view maps pointer → data units.
+  let pointGrid = buildPointGrid(pts, minX, minY, maxX - minX, maxY - minY);
+  let hoverIdx = -1;
+
+  function uploadHover() {
+    const c = hoverColor ? cssColorToLinearRGB(hoverColor, 'hoverColor') : BRIGHT;
+    gl.useProgram(program);
+    gl.uniform1i(U.uHover, hoverColor ? hoverIdx : -1);
+    gl.uniform4f(U.uHoverColor, c[0], c[1], c[2], hoverColor ? 1 : 0);
+  }
+
+  function pickAt(clientX, clientY) {
+    const [x, y] = stage.clientToData(clientX, clientY);
+    const rect = canvas.getBoundingClientRect();
+    const radius = pickRadiusPx != null ? pickRadiusPx * (view.w / (rect.width || 1)) : dotSizeData[0];
+    const index = pointGrid.nearest(x, y, radius);
+    if (index < 0) return null;
+    return { index, point: pts[index], screen: stage.dataToCanvas(pts[index].x, pts[index].y) };
+  }
+
+  function setHover(index) {
+    if (index === hoverIdx) return;
+    hoverIdx = index;
+    uploadHover();
+    if (hoverColor) requestDraw();
+  }
+
+  // Region-level events follow the picked dot's `region`
+  let hoverRegion = null;
+  const regionDetail = (id) => ({ region: id, info: id == null ? null : regions.get(String(id)) ?? null });
+
+  function setHoverRegion(id, e) {
+    if (id === hoverRegion) return;
+    const previous = hoverRegion;
+    hoverRegion = id;
+    emit('wm:regionhover', { ...regionDetail(id), previous, originalEvent: e });
+  }
+
+  function emitPick(type, e) {
+    const hit = pickAt(e.clientX, e.clientY);
+    const region = hit ? hit.point.region ?? null : null;
+    if (type === 'wm:pointermove') {
+      setHover(hit ? hit.index : -1);
+      setHoverRegion(region, e);
+    }
+    emit(type, { index: -1, point: null, screen: null, ...hit, originalEvent: e });
+    if (type === 'wm:click' && region != null) {
+      emit('wm:regionclick', { ...regionDetail(region), index: hit.index, point: hit.point, originalEvent: e });
+    }
+  }
+
+  // Pointer input, forwarded by the stage (one listener set per canvas)
+  function onPointer(type, e) {
+    if (!picking) return;
+    if (type === 'move') {
+      emitPick('wm:pointermove', e);
+    } else if (type === 'click') {
+      emitPick('wm:click', e);
+    } else if (hoverIdx >= 0) { // leave
+      setHover(-1);
+      emit('wm:pointermove', { index: -1, point: null, screen: null, originalEvent: e });
+      setHoverRegion(null, e);
+    }
+  }
+
+  // A tap (pointerdown that does not start a pan) fires a pointer pulse
+  function onTap(x, y) {
+    if (pointerPulses) addPulse({ ...(typeof pointerPulses === 'object' ? pointerPulses : null), x, y });
+  }
+  if (pointerPulses && typeof pointerPulses === 'object') checkPulse(pointerPulses);
+
+  // Animate the (stage's) camera to a data rect {x,y,w,h}, a point {x,y} |
+  // {lon,lat} (optional `zoom`), or the whole map when `target` is omitted.
+  // Resolves true when it arrives, false if interrupted by another flyTo or
+  // a gesture.
+  function flyTo(target, duration = 800) {
+    if (target && !(target.w > 0 && target.h > 0) && target.x == null && target.lon != null && target.lat != null) {
+      const [x, y] = geo.project(+target.lon, +target.lat);
+      target = { x, y, zoom: target.zoom };
+    }
+    return stage.flyTo(target, play.reducedMotion ? 0 : duration);
+  }
+
+  // === Data morph (setData) ===
+  // Each new point starts at its matched old point ('nearest': every old
+  // point claims the closest new point within matchRadius, the nearest claim
+  // wins; 'index': same index) and slides to its place in the vertex shader
+  // as uMorph goes 0 → 1. Unmatched new points fade in in place; unmatched
+  // old points stay as ghost instances after the new ones (N..) while they
+  // fade out, and are dropped when the morph ends.
+  let ghosts = [];                               // old points fading out
+  let instFrom = new Float32Array(N * 2);        // morph start centers (data units)
+  let instFromQuant = new Float32Array(N * 2);   // ... pixel-snapped
+  let instFade = new Float32Array(N * 2).fill(1); // visibility at start, end
+  let morph = null;                              // running morph tween
+
+  function uploadMorph() {
+    gl.useProgram(program);
+    gl.uniform1f(U.uMorph, morph ? morph.progress : 1);
+  }
+
+  // New index → claiming old index (-1 = none)
+  function matchPoints(oldPts, mode, radius) {
+    const claim = new Int32Array(N).fill(-1);
+    if (mode === 'index') {
+      for (let j = 0; j < Math.min(N, oldPts.length); j++) claim[j] = j;
+      return claim;
+    }
+    const best = new Float64Array(N).fill(Infinity);
+    oldPts.forEach((o, i) => {
+      const j = pointGrid.nearest(o.x, o.y, radius);
+      if (j < 0) return;
+      const d = Math.hypot(pts[j].x - o.x, pts[j].y - o.y);
+      if (d < best[j]) { best[j] = d; claim[j] = i; }
+    });
+    return claim;
+  }
+
+  // End the running morph (jumping to its end state) and drop the ghosts
+  function finishMorph(completed) {
+    if (!morph) return;
+    const { resolve, raf } = morph;
+    cancelAnimationFrame(raf);
+    morph = null;
+    if (ghosts.length) {
+      ghosts = [];
+      instDelay = instDelay.slice(0, N);
+      instColor = instColor.slice(0, N * 4);
+      instWeight = instWeight.slice(0, N);
+      instSprite = instSprite.slice(0, N);
+      instHighlight = instHighlight.slice(0, N * 4);
+      instCentersQuant = instCentersQuant.slice(0, N * 2);
+      instFrom = instFrom.slice(0, N * 2);
+      instFromQuant = instFromQuant.slice(0, N * 2);
+      instFade = instFade.slice(0, N * 2);
+      for (const name in INSTANCE_ATTRS) uploadAttr(name);
+    }
+    uploadMorph();
+    requestDraw();
+    resolve(completed);
+  }
+
+  // Replace the points (same forms as the `data` option) and morph to them.
+  // Seeds, delays, styles and the pick grid are rebuilt for the new layout;
+  // `values` are dropped if their length no longer matches. Resolves true
+  // when the morph ends, false if another setData() cuts it short.
+  function setData(next, { duration = 800, easing = 'ease-in-out', match = 'nearest', matchRadius } = {}) {
+    const parsed = parseData(next, dataStride); // throws DATA_INVALID before anything changes
+    checkColors(parsed.pts.map((p) => p.color), 'point color');
+    finishMorph(false);
+    const oldPts = pts;
+    const old = { delay: instDelay, color: instColor, weight: instWeight, sprite: instSprite, highlight: instHighlight };
+
+    ({ pts, regionList } = parsed);
+    regions = new Map(regionList.map((r) => [String(r.id), r]));
+    N = pts.length;
+    computeBounds();
+    pointGrid = buildPointGrid(pts, minX, minY, maxX - minX, maxY - minY);
+    setHover(-1);
+    hoverRegion = null;
+
+    const radius = matchRadius > 0 ? +matchRadius : 4 * Math.sqrt((dataBox.w * dataBox.h) / N); // ~4 dot spacings
+    const claim = matchPoints(oldPts, match, radius);
+    const animate = duration > 0 && !play.reducedMotion;
+    const claimed = new Uint8Array(oldPts.length);
+    for (const i of claim) if (i >= 0) claimed[i] = 1;
+    const ghostIdx = animate ? [...oldPts.keys()].filter((i) => !claimed[i]) : [];
+    ghosts = ghostIdx.map((i) => oldPts[i]);
+    const count = N + ghosts.length;
+
+    instDelay = new Float32Array(count);
+    instColor = new Float32Array(count * 4);
+    instWeight = new Float32Array(count);
+    instSprite = new Float32Array(count);
+    instHighlight = new Float32Array(count * 4);
+    instCentersQuant = new Float32Array(count * 2);
+    instFrom = new Float32Array(count * 2);
+    instFromQuant = new Float32Array(count * 2);
+    instFade = new Float32Array(count * 2).fill(1);
+
+    seedOrder = Array.from(pts.keys());
+    shuffleSeeds();
+    pickSeeds();
+    computeDelays();
+    if (values && values.length !== N) values = null;
+    computePointStyles();
+    computeHighlights();
+
+    for (let j = 0; j < N; j++) {
+      const src = claim[j] >= 0 ? oldPts[claim[j]] : pts[j];
+      instFrom[j * 2] = src.x;
+      instFrom[j * 2 + 1] = src.y;
+      if (claim[j] < 0) instFade[j * 2] = 0;
+    }
+    // ghosts keep their old phase and style while they fade out
+    ghostIdx.forEach((o, k) => {
+      const i = N + k;
+      instFrom[i * 2] = oldPts[o].x;
+      instFrom[i * 2 + 1] = oldPts[o].y;
+      instFade[i * 2 + 1] = 0;
+      instDelay[i] = old.delay[o];
+      instWeight[i] = old.weight[o];
+      instSprite[i] = old.sprite[o];
+      instColor.set(old.color.subarray(o * 4, o * 4 + 4), i * 4);
+      instHighlight.set(old.highlight.subarray(o * 4, o * 4 + 4), i * 4);
+    });
+
+    const done = animate
+      ? new Promise((resolve) => {
+          morph = {
+            t0: performance.now(),
+            duration: +duration,
+            ease: typeof easing === 'function' ? easing : EASINGS[easing] || EASINGS['ease-in-out'],
+            progress: 0,
+            resolve,
+            raf: 0,
+          };
+        })
+      : Promise.resolve(true);
+
+    for (const name in INSTANCE_ATTRS) uploadAttr(name);
+    uploadMorph();
+    stage.dataChanged(); // refits the view; applyView snaps centers (and morph starts)
+
+    if (morph) {
+      const step = (now) => {
+        const t = Math.min(1, Math.max(0, (now - morph.t0) / morph.duration));
+        morph.progress = morph.ease(t);
+        uploadMorph();
+        requestDraw();
+        if (t < 1) morph.raf = requestAnimationFrame(step);
+        else finishMorph(true);
+      };
+      morph.raf = requestAnimationFrame(step);
+    }
+    return done;
+  }
+
+  // Play state: every input that can stop drawing lives here, and
+  // syncLoop() derives from it whether a rAF loop should exist at all.
+  const play = {
+    paused: false,        // user pause via controller
+    reducedMotion: false, // prefers-reduced-motion (or forced) → still frame
+    ...stage.state,       // onScreen, pageVisible, contextLost (from the stage)
+    destroyed: false,
+    ripple: ripple !== false, // false → static layer, never animates
+  };
+  let needsDraw = true; // one static frame is owed (first frame, resize, option change)
+
+  // Animation clock: advances only while frames are drawn, so a pause or a
+  // lost context resumes at the same ripple phase instead of jumping ahead.
+  let animSec = 0;
+  let lastT = -1;
+
+  function animating() {
+    return !play.destroyed && !play.contextLost && !play.paused && play.ripple &&
+      !play.reducedMotion && play.onScreen && play.pageVisible;
+  }
+
+  function setPlayState(patch) {
+    Object.assign(play, patch);
+    syncLoop();
+  }
+
+  // Ask for one frame even if the animation is stopped (e.g. the canvas was
+  // resized and its drawing buffer cleared).
+  function requestDraw() {
+    needsDraw = true;
+    syncLoop();
+  }
+
+  // Respect reduced motion (live: the stage forwards the media query's
+  // change event)
+  function updateReducedMotion() {
+    needsDraw = true;
+    if (pulses.length) {
+      pulses.length = 0;
+      uploadPulses();
+    }
+    setPlayState({
+      reducedMotion: reducedMotion === 'always' || (reducedMotion === 'auto' && stage.prefersReducedMotion()),
+    });
+  }
+
+  function emit(type, detail) {
+    canvas.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // The stage owns the rAF loop and the clear, the camera and the DOM
+  // listeners, and drives every layer on the canvas through these hooks.
+  const layerHooks = {
+    wants: () => !play.destroyed && !play.contextLost && (animating() || needsDraw),
+    owed: () => needsDraw,
+    render,
+    dataBox: () => ({ ...dataBox }),
+    viewChanged: applyView,
+    setShared: setPlayState,
+    motionChanged: updateReducedMotion,
+    restoreGL: createGLResources,
+    pointer: onPointer,
+    tap: onTap,
+  };
+
+  createGLResources();
+  stage.add(layerHooks); // sizes the canvas and fits the view
+
+  function syncLoop() {
+    if (!animating()) lastT = -1;
+    stage.sync();
+  }
+
+  function draw(timeSec, ripple, clear) {
+    if (clear) gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.useProgram(program);
+    gl.bindVertexArray(vao);
+    if (spriteTex) {
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, spriteTex);
+    }
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, envelopeTex);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, gradientTex);
+    gl.activeTexture(gl.TEXTURE0);
+    if (!ripple) gl.uniform1f(U.uRipple, 0);
+    gl.uniform1f(U.uTime, timeSec);
+    gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, N + ghosts.length);
+    if (!ripple) gl.uniform1f(U.uRipple, 1);
+  }
+
+  // Draw one frame, advancing the clock while animating. Called by the
+  // stage for every layer whenever any layer draws.
+  function render(tMs, clear) {
+    if (animating()) {
+      if (lastT < 0) lastT = tMs;
+      animSec += (tMs - lastT) * 0.001;
+      lastT = tMs;
+      if (pulses.length) prunePulses();
+      draw(animSec, true, clear);
+    } else if (!play.ripple) {
+      draw(0, false, clear);
+    } else if (play.reducedMotion) {
+      // Static frame: reduced motion shows stillTime (or all idle);
+      // otherwise hold the current phase.
+      draw(stillTime ?? 0, stillTime != null, clear);
+    } else {
+      draw(animSec, true, clear);
+    }
+    needsDraw = false;
+  }
+
+  updateReducedMotion();
+
+  // 9) Controller
+  return {
+    // Update visual/behavior options in place. Seed-related changes only
+    // redo seed selection and the delay buffer; GL context and data are kept.
+    setOptions(partial = {}) {
+      if (play.destroyed) return;
+      const has = (k) => partial[k] !== undefined;
+      let reseed = false, redelay = false;
+
+      // Validate everything before applying anything, so a call that throws
+      // OPTION_INVALID leaves every option as it was
+      const num = {};
+      for (const k of ['cycleSec', 'cornerPct', 'targetDotPx', 'seedFraction', 'maxSeeds', 'rngJitter']) {
+        if (has(k)) num[k] = checkNumber(partial[k], k);
+      }
+      if (partial.stillTime != null)    checkNumber(partial.stillTime, 'stillTime');
+      if (partial.pickRadiusPx != null) checkNumber(partial.pickRadiusPx, 'pickRadiusPx');
+      if (has('shape'))    shapeBody(partial.shape);
+      const nextEnvelope = has('envelope') ? envelopeLUT(partial.envelope) : null;
+      const nextGradient = has('gradient') ? gradientLUT(gradientStops(partial.gradient)) : null;
+      if (has('edges'))    checkEdges(partial.edges);
+      stage.checkOptions(partial); // fit, align, minZoom, maxZoom
+      for (const k of ['idleColor', 'brightColor', 'hoverColor']) {
+        if (partial[k]) cssColorToLinearRGB(partial[k], k);
+      }
+      if (partial.pointerPulses && typeof partial.pointerPulses === 'object') checkPulse(partial.pointerPulses);
+      if (partial.origins)    resolveOrigins(partial.origins);
+      if (has('values'))      checkValues(partial.values);
+      if (has('groupColors')) checkColors(Object.values(partial.groupColors || {}), 'groupColors');
+      if (has('colorScale'))  checkColors(stopColors(partial.colorScale), 'colorScale stop');
+
+      // First, so a custom sdf that does not compile throws before anything
+      // else changes
+      if (has('shape')) {
+        const prev = shape;
+        shape = partial.shape;
+        if (!play.contextLost) {
+          deleteGLResources();
+          try {
+            createGLResources();
+          } catch (e) {
+            shape = prev; // e.g. a custom sdf that does not compile
+            createGLResources();
+            throw e;
+          } finally {
+            applyView();
+          }
+        }
+      }
+
+      gl.useProgram(program);
+      if (has('cycleSec')) {
+        cycleSec = Math.max(1e-3, num.cycleSec);
+        gl.uniform1f(U.uCycle, cycleSec);
+        redelay = true;
+      }
+      if (has('envelope')) {
+        envelopeData = nextEnvelope;
+        envelope = partial.envelope;
+        uploadEnvelope();
+      }
+      if (has('cornerPct')) {
+        cornerPct = num.cornerPct;
+        gl.uniform1f(U.uCorner, cornerPct * 0.5);
+      }
+      // Layout and pan/zoom are the stage's: shared by every layer on the canvas
+      if (CAMERA_OPTIONS.some((k) => has(k))) stage.setOptions(partial);
+      if (has('targetDotPx') || has('dotScaling')) {
+        if (has('targetDotPx')) targetDotPx = num.targetDotPx;
+        if (has('dotScaling'))  dotScaling = partial.dotScaling;
+        applyView();
+      }
+      if (has('gradient')) {
+        gradientData = nextGradient;
+        gradient = partial.gradient;
+        uploadGradient();
+      }
+      if (has('idleColor') || has('brightColor')) {
+        if (has('idleColor'))   idleColor = partial.idleColor;
+        if (has('brightColor')) brightColor = partial.brightColor;
+        resolveColors();
+        uploadColors();
+        if (!gradient) {
+          gradientData = gradientLUT(gradientStops(gradient)); // default ends at --bright
+          uploadGradient();
+        }
+        uploadHover();
+        computePointStyles(); // colorScale defaults to idle → bright
+        uploadAttr('color');
+      }
+      if (has('ripple')) {
+        ripple = partial.ripple;
+        setPlayState({ ripple: ripple !== false });
+      }
+      if (has('edges'))        { edges = partial.edges; updateTransforms(); }
+      if (has('seedFraction')) { seedFraction = num.seedFraction; reseed = true; }
+      if (has('maxSeeds'))     { maxSeeds = num.maxSeeds;         reseed = true; }
+      if (has('origins')) {
+        origins = partial.origins;
+        reseed = true;
+      }
+      if (has('rngJitter'))    { rngJitter = num.rngJitter;       redelay = true; }
+      if (has('stillTime'))    { stillTime = partial.stillTime; }
+      if (has('pointerPulses')) { pointerPulses = partial.pointerPulses; }
+      if (has('picking')) {
+        picking = !!partial.picking;
+        if (!picking) { setHover(-1); hoverRegion = null; }
+      }
+      if (has('pickRadiusPx')) { pickRadiusPx = partial.pickRadiusPx; }
+      if (has('hoverColor')) {
+        hoverColor = partial.hoverColor;
+        uploadHover();
+      }
+      if (has('weightMode'))   { weightMode = partial.weightMode; uploadWeightMode(); }
+      if (has('groupColors') || has('values') || has('colorScale')) {
+        if (has('values'))      values = partial.values;
+        if (has('groupColors')) groupColors = partial.groupColors;
+        if (has('colorScale'))  colorScale = partial.colorScale;
+        computePointStyles();
+        uploadAttr('color');
+      }
+      if (has('reducedMotion')) {
+        reducedMotion = partial.reducedMotion;
+        updateReducedMotion();
+      }
+      if (has('randomSeed')) {
+        randomSeed = partial.randomSeed;
+        // restore identity order so the result matches a fresh init
+        for (let i = 0; i < N; i++) seedOrder[i] = i;
+        shuffleSeeds();
+        reseed = true;
+      }
+
+      if (reseed) pickSeeds();
+      if (reseed || redelay) {
+        computeDelays();
+        uploadAttr('delay');
+      }
+      requestDraw();
+    },
+    // Dot under a client (viewport) position → { index, point, screen } | null;
+    // `screen` is CSS px relative to the canvas
+    pick(clientX, clientY) {
+      return pickAt(clientX, clientY);
+    },
+    // Fire a one-off ripple from a point; see addPulse for fields
+    pulse(opts) {
+      return addPulse(opts);
+    },
+    // Restyle points without reloading: `which` is an index, a point id or a
+    // predicate (point, index) → bool; `style` may set color (CSS color, null =
+    // back to group/idle color), weight, group and sprite. Returns the match count.
+    setPointStyle(which, style = {}) {
+      if (play.destroyed) return 0;
+      if (style.color != null) checkColors([style.color], 'point color'); // before touching any point
+      const match = typeof which === 'function' ? which
+        : typeof which === 'number' ? (p, i) => i === which
+        : (p) => p.id === which;
+      let count = 0;
+      for (let i = 0; i < N; i++) {
+        const p = pts[i];
+        if (!match(p, i)) continue;
+        if (style.color !== undefined)  p.color = style.color;
+        if (style.weight !== undefined) p.weight = style.weight;
+        if (style.group !== undefined)  p.group = style.group;
+        if (style.sprite !== undefined) p.sprite = style.sprite;
+        count++;
+      }
+      if (count) {
+        computePointStyles();
+        uploadAttr('color');
+        uploadAttr('weight');
+        uploadAttr('sprite');
+        requestDraw();
+      }
+      return count;
+    },
+    // Tint every dot whose `region` is `id`: style { color (CSS color, default
+    // --bright), amount 0..1 (default 1) }; the ripple still plays on top
+    highlightRegion(id, style = {}) {
+      if (play.destroyed) return;
+      const rgb = cssColorToLinearRGB(style.color || brightCss, 'highlight color');
+      highlights.set(String(id), [rgb[0], rgb[1], rgb[2], style.amount ?? 1]);
+      computeHighlights();
+      uploadAttr('highlight');
+      requestDraw();
+    },
+    // Remove one region's highlight, or all of them when called without id
+    clearHighlight(id) {
+      if (play.destroyed) return;
+      if (id === undefined) highlights.clear();
+      else highlights.delete(String(id));
+      computeHighlights();
+      uploadAttr('highlight');
+      requestDraw();
+    },
+    // Animate the camera; see flyTo above for targets
+    flyTo(target, duration) {
+      if (play.destroyed) return Promise.resolve(false);
+      return flyTo(target, duration);
+    },
+    // Replace the data, morphing from the current points; options
+    // { duration (ms, 800), easing ('linear' | 'ease-in' | 'ease-out' |
+    // 'ease-in-out' | t => t), match ('nearest' | 'index'), matchRadius }
+    setData(next, opts) {
+      if (play.destroyed) return Promise.resolve(false);
+      try {
+        return setData(next, opts);
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    },
+    // Update choropleth values (index-aligned array, or (point, index) →
+    // value); only the per-instance color buffer is re-sent
+    setValues(next) {
+      if (play.destroyed) return;
+      values = checkValues(typeof next === 'function' ? pts.map(next) : next);
+      computePointStyles();
+      uploadAttr('color');
+      requestDraw();
+    },
+    pause() {
+      setPlayState({ paused: true });
+    },
+    resume() {
+      setPlayState({ paused: false });
+    },
+    destroy() {
+      if (play.destroyed) return;
+      setPlayState({ destroyed: true });
+      finishMorph(false);
+      stage.remove(layerHooks); // the last layer also detaches the stage's listeners
+      deleteGLResources();
+    },
+    get running() {
+      return animating();
+    },
+    // Visible data rect and zoom (1 = fitted view)
+    get view() {
+      return { x: view.x, y: view.y, w: view.w, h: view.h, zoom: stage.cam.zoom };
+    },
+    // Region dictionary from the data, [{ id, ...info }, ...]
+    get regions() {
+      return regionList;
+    },
+    // Geographic ↔ data-space conversion for the configured projection
+    project(lon, lat) {
+      const [x, y] = geo.project(lon, lat);
+      return { x, y };
+    },
+    unproject(x, y) {
+      const [lon, lat] = geo.unproject(x, y);
+      return { lon, lat };
+    },
+    // Seed in use (auto-picked if none was given) — pass it back as
+    // `randomSeed` to reproduce the current layout.
+    get randomSeed() {
+      return randomSeed;
+    },
+  };
+}
+
+// The canvas side of rendering, shared by every layer drawn on it (see
+// initRippleLayers; a plain initRipple gets a one-layer stage of its own):
+// one rAF loop and one clear per frame, after which the layers draw in order
+// (bottom first); one camera (viewBox/fit/align, pan/zoom, flyTo,
+// wm:viewchange); and one set of DOM listeners (resize, visibility,
+// reduced motion, context loss, pointer input) forwarded to the layers.
+// Layer hooks:
+//   wants(), owed(), render(tMs, clear)  draw loop
+//   dataBox()                            padded data extent (default viewBox)
+//   viewChanged()                        camera or canvas size changed
+//   setShared(patch)                     { onScreen | pageVisible | contextLost }
+//   motionChanged()                      prefers-reduced-motion flipped
+//   restoreGL()                          rebuild GPU state after a context restore
+//   pointer(type, e)                     'move' | 'leave' | 'click' (picking)
+//   tap(x, y)                            pointerdown without a pan (data units)
+const CAMERA_OPTIONS = ['viewBox', 'fit', 'align', 'panZoom', 'minZoom', 'maxZoom', 'zoomBounds'];
+const DRAG_CLICK_PX = 4; // a drag longer than this swallows its click and tap
+
+function createStage(canvas, gl, {
+  fpsCap = 0, dprCap = 2.0,
+  viewBox = null, fit = 'stretch', align = 'xMidYMid',
+  panZoom = false, minZoom = 1, maxZoom = 8, zoomBounds = true,
+} = {}) {
+  checkFit(fit);
+  parseAlign(align);
+
+  const layers = []; // [{ hooks, order }] sorted by order
+  const each = (fn) => layers.forEach((l) => fn(l.hooks));
+  function emit(type, detail) {
+    canvas.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // === Draw loop ===
+  const minDelta = fpsCap > 0 ? (1000 / fpsCap) : 0;
+  let rafId = 0;
+  let lastT = -1;
+
+  function sync() {
+    const want = layers.some((l) => l.hooks.wants());
+    if (!want) lastT = -1;
+    if (want && !rafId) {
+      rafId = requestAnimationFrame(frame);
+    } else if (!want && rafId) {
+      cancelAnimationFrame(rafId);
+      rafId = 0;
     }
-    gl.bindBuffer(gl.ARRAY_BUFFER, centerBuf);
-    gl.bufferData(gl.ARRAY_BUFFER, instCentersQuant, gl.STATIC_DRAW);
+  }
+
+  function frame(tMs) {
+    rafId = 0;
+    const owed = layers.some((l) => l.hooks.owed());
+    if (!minDelta || lastT < 0 || tMs - lastT >= minDelta || owed) {
+      lastT = tMs;
+      layers.forEach((l, i) => l.hooks.render(tMs, i === 0));
+    }
+    sync();
+  }
+
+  // === Camera ===
+  // `vb` is the viewBox option, else the union of the layers' data boxes.
+  // `base` is the fitted rect: vb grown on one axis by `fit`/`align` so the
+  // data keeps its aspect. `view` is the data-space rect actually shown by
+  // the canvas: `base` zoomed by the camera around cam.x/y. Layers read
+  // these objects, which are updated in place.
+  const vb   = { x: 0, y: 0, w: 1, h: 1 };
+  const base = { x: 0, y: 0, w: 1, h: 1 };
+  const view = { x: 0, y: 0, w: 1, h: 1 };
+  const cam  = { zoom: 1, x: null, y: null }; // null center = base center
+  const css  = { w: 1, h: 1 }; // canvas size in CSS px (last resize)
+
+  function computeViewBox() {
+    let box = viewBox && viewBox.w > 0 && viewBox.h > 0 ? viewBox : null;
+    if (!box && layers.length) {
+      let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+      for (const { hooks } of layers) {
+        const b = hooks.dataBox();
+        x0 = Math.min(x0, b.x);
+        y0 = Math.min(y0, b.y);
+        x1 = Math.max(x1, b.x + b.w);
+        y1 = Math.max(y1, b.y + b.h);
+      }
+      box = { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+    }
+    if (!box) return;
+    vb.x = +box.x;
+    vb.y = +box.y;
+    vb.w = +box.w;
+    vb.h = +box.h;
+  }
+
+  function updateView() {
+    let kx = css.w / vb.w, ky = css.h / vb.h; // CSS px per data unit
+    if (fit === 'contain') kx = ky = Math.min(kx, ky);
+    else if (fit === 'cover') kx = ky = Math.max(kx, ky);
+    const [ax, ay] = parseAlign(align);
+    base.w = css.w / kx;
+    base.h = css.h / ky;
+    base.x = vb.x - (base.w - vb.w) * ax;
+    base.y = vb.y - (base.h - vb.h) * ay;
+  }
+
+  // Zoom into [minZoom, maxZoom]; with zoomBounds the view may not leave
+  // `base` (an axis wider than base stays centered on it)
+  function clampCamera() {
+    cam.zoom = Math.min(Math.max(cam.zoom, minZoom), Math.max(minZoom, maxZoom));
+    if (cam.x == null) cam.x = base.x + base.w / 2;
+    if (cam.y == null) cam.y = base.y + base.h / 2;
+    if (!zoomBounds) return;
+    const hw = base.w / cam.zoom / 2, hh = base.h / cam.zoom / 2;
+    cam.x = hw * 2 >= base.w ? base.x + base.w / 2 : Math.min(Math.max(cam.x, base.x + hw), base.x + base.w - hw);
+    cam.y = hh * 2 >= base.h ? base.y + base.h / 2 : Math.min(Math.max(cam.y, base.y + hh), base.y + base.h - hh);
+  }
+
+  // Camera → view, then every layer follows; call after any change to cam
+  // or base
+  function applyCamera() {
+    clampCamera();
+    view.w = base.w / cam.zoom;
+    view.h = base.h / cam.zoom;
+    view.x = cam.x - view.w / 2;
+    view.y = cam.y - view.h / 2;
+    each((h) => h.viewChanged());
+    emit('wm:viewchange', { x: view.x, y: view.y, w: view.w, h: view.h, zoom: cam.zoom });
   }
 
   // Responsive sizing
@@ -318,54 +2136,424 @@ export default async function initRipple(opts = {}) {
     if (canvas.width !== w || canvas.height !== h) {
       canvas.width = w;
       canvas.height = h;
-      gl.viewport(0, 0, w, h);
     }
+    gl.viewport(0, 0, w, h);
 
-    // dotSizeData: size in DATA units that will become ~targetDotPx in CSS px.
-    // Use CSS width (rect.width) for perceived size control:
-    const pxPerDataX_css = (rect.width || 1) / vbW;
-    dotSizeData = targetDotPx / Math.max(pxPerDataX_css, 1e-6);
+    css.w = rect.width || 1;
+    css.h = rect.height || 1;
+    updateView();
+    applyCamera(); // layers request a draw: resizing clears the drawing buffer
+  }
 
-    // BUT for **pixel snapping**, quantize by **device pixels**:
-    const devicePixelsPerDataX = (canvas.width || 1) / vbW;
-    updateQuantizedCenters(devicePixelsPerDataX);
+  // Client (CSS px, e.g. PointerEvent.clientX/Y) → data units via the view
+  function clientToData(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    return [
+      view.x + ((clientX - rect.left) / (rect.width  || 1)) * view.w,
+      view.y + ((clientY - rect.top)  / (rect.height || 1)) * view.h,
+    ];
+  }
 
-    updateTransforms();
+  // Data units → CSS px relative to the canvas' top-left corner
+  function dataToCanvas(x, y) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: ((x - view.x) / view.w) * rect.width, y: ((y - view.y) / view.h) * rect.height };
   }
-  window.addEventListener('resize', resize, { passive: true });
-  resize();
 
-  // GL state
-  gl.disable(gl.DEPTH_TEST);
-  gl.disable(gl.BLEND);
-  gl.clearColor(0, 0, 0, 0);
+  // === Pan / zoom ===
+  // Gestures move `cam` and re-run applyCamera(); listeners stay attached and
+  // check `panZoom`, so it can be toggled live.
+  const drag = new Map();  // pointerId → last client position
+  let dragMoved = 0;       // CSS px moved by the current gesture
+  let fly = null;          // running flyTo tween
 
-  // Respect reduced motion & pause when offscreen
-  let running = true;
-  if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-    running = false;
+  function panBy(dxPx, dyPx) {
+    cam.x -= dxPx * (view.w / css.w);
+    cam.y -= dyPx * (view.h / css.h);
+    applyCamera();
   }
-  const io = ('IntersectionObserver' in window)
-    ? new IntersectionObserver((entries) => {
-        for (const e of entries) running = e.isIntersecting;
-      })
-    : null;
-  if (io) io.observe(canvas);
 
-  // Optional FPS cap
-  let lastT = 0;
-  const minDelta = fpsCap > 0 ? (1000 / fpsCap) : 0;
+  // Zoom by `factor`, keeping the data point under the client position
+  // fixed, or moving it to (toX, toY) (a pinch that also pans)
+  function zoomAround(clientX, clientY, factor, toX = clientX, toY = clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const fx = (toX - rect.left) / (rect.width || 1);
+    const fy = (toY - rect.top) / (rect.height || 1);
+    const [x, y] = clientToData(clientX, clientY);
+    cam.zoom = Math.min(Math.max(cam.zoom * factor, minZoom), Math.max(minZoom, maxZoom));
+    cam.x = x + (0.5 - fx) * (base.w / cam.zoom);
+    cam.y = y + (0.5 - fy) * (base.h / cam.zoom);
+    applyCamera();
+  }
 
-  function frame(tMs) {
-    if (running) {
-      if (!minDelta || (tMs - lastT >= minDelta)) {
-        lastT = tMs;
-        gl.clear(gl.COLOR_BUFFER_BIT);
-        gl.uniform1f(uTime, tMs * 0.001);
-        gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, N);
+  function cancelFly() {
+    if (!fly) return;
+    cancelAnimationFrame(fly.raf);
+    fly.resolve(false);
+    fly = null;
+  }
+
+  function onWheel(e) {
+    if (!panZoom) return;
+    e.preventDefault();
+    cancelFly();
+    const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? css.h : 1; // lines / pages → px
+    zoomAround(e.clientX, e.clientY, Math.exp(-e.deltaY * unit * 0.002));
+  }
+
+  function onDragStart(e) {
+    if (!panZoom || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    cancelFly();
+    if (!drag.size) dragMoved = 0;
+    drag.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    canvas.setPointerCapture?.(e.pointerId);
+  }
+  function onDragMove(e) {
+    const prev = drag.get(e.pointerId);
+    if (!prev) return;
+    if (drag.size === 1) {
+      panBy(e.clientX - prev.x, e.clientY - prev.y);
+    } else {
+      // pinch: the data point under the old midpoint follows the fingers to
+      // the new midpoint, zoomed by the change in finger distance
+      const other = [...drag.values()].find((q) => q !== prev);
+      const m0x = (prev.x + other.x) / 2, m0y = (prev.y + other.y) / 2;
+      const m1x = (e.clientX + other.x) / 2, m1y = (e.clientY + other.y) / 2;
+      const d0 = Math.hypot(prev.x - other.x, prev.y - other.y);
+      const d1 = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+      zoomAround(m0x, m0y, d0 > 0 ? d1 / d0 : 1, m1x, m1y);
+    }
+    dragMoved += Math.hypot(e.clientX - prev.x, e.clientY - prev.y);
+    prev.x = e.clientX;
+    prev.y = e.clientY;
+  }
+
+  function updateTouchAction() {
+    canvas.style.touchAction = panZoom ? 'none' : '';
+    if (!panZoom) drag.clear();
+  }
+
+  // Animate the camera to a data rect {x,y,w,h}, a point {x,y} (optional
+  // `zoom`), or the whole map when `target` is omitted. Resolves true when
+  // it arrives, false if interrupted by another flyTo or a gesture.
+  function flyTo(target, duration = 800) {
+    cancelFly();
+    let zoom = 1, x = base.x + base.w / 2, y = base.y + base.h / 2;
+    if (target) {
+      if (target.w > 0 && target.h > 0) {
+        zoom = Math.min(base.w / target.w, base.h / target.h);
+        x = +target.x + target.w / 2;
+        y = +target.y + target.h / 2;
+      } else {
+        x = +target.x;
+        y = +target.y;
+        zoom = target.zoom > 0 ? +target.zoom : cam.zoom;
       }
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return Promise.resolve(false);
+    }
+    const from = { zoom: cam.zoom, x: cam.x, y: cam.y };
+    if (!(duration > 0)) {
+      Object.assign(cam, { zoom, x, y });
+      applyCamera();
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      const t0 = performance.now();
+      const step = (now) => {
+        const t = Math.min(1, Math.max(0, (now - t0) / duration));
+        const e = EASINGS['ease-in-out'](t);
+        cam.zoom = from.zoom * Math.pow(zoom / from.zoom, e); // log-linear zoom
+        cam.x = from.x + (x - from.x) * e;
+        cam.y = from.y + (y - from.y) * e;
+        applyCamera();
+        if (t < 1) {
+          fly.raf = requestAnimationFrame(step);
+        } else {
+          fly = null;
+          resolve(true);
+        }
+      };
+      fly = { resolve, raf: requestAnimationFrame(step) };
+    });
+  }
+
+  // === Pointer input → layers ===
+  // A tap is a pointerdown that does not start a pan: with panZoom it waits
+  // for pointerup, so a pan or pinch never fires one.
+  let pendingTap = null; // { pointerId, x, y } (data units)
+  function onPointerDown(e) {
+    const [x, y] = clientToData(e.clientX, e.clientY);
+    if (panZoom && !(e.pointerType === 'mouse' && e.button !== 0)) {
+      pendingTap = drag.size ? null : { pointerId: e.pointerId, x, y };
+    } else {
+      each((h) => h.tap(x, y));
     }
-    requestAnimationFrame(frame);
+    onDragStart(e);
+  }
+  function onPointerMove(e) {
+    each((h) => h.pointer('move', e));
+    onDragMove(e);
+  }
+  function onPointerUp(e) {
+    drag.delete(e.pointerId);
+    const tap = pendingTap;
+    if (!tap || tap.pointerId !== e.pointerId) return;
+    pendingTap = null;
+    if (e.type === 'pointerup' && dragMoved <= DRAG_CLICK_PX) each((h) => h.tap(tap.x, tap.y));
+  }
+  function onPointerLeave(e) {
+    each((h) => h.pointer('leave', e));
+  }
+  function onClick(e) {
+    if (panZoom && dragMoved > DRAG_CLICK_PX) return; // end of a pan, not a click
+    each((h) => h.pointer('click', e));
+  }
+
+  // === Lifecycle ===
+  // Shared play inputs; each layer mirrors them into its own play state.
+  const state = {
+    onScreen: true,       // IntersectionObserver
+    pageVisible: document.visibilityState !== 'hidden',
+    contextLost: false,
+  };
+  function setShared(patch) {
+    Object.assign(state, patch);
+    each((h) => h.setShared(patch));
+  }
+
+  const motionMQ = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  function onMotionChange() {
+    each((h) => h.motionChanged());
+  }
+  function onVisibilityChange() {
+    setShared({ pageVisible: document.visibilityState !== 'hidden' });
+  }
+
+  // Context loss: layers keep their CPU state and rebuild GPU state on
+  // restore. Host pages can listen for 'wm:contextlost' /
+  // 'wm:contextrestored' on the canvas ('wm:error' with detail.error if the
+  // rebuild itself fails).
+  function onContextLost(e) {
+    e.preventDefault(); // required for the browser to attempt a restore
+    setShared({ contextLost: true });
+    emit('wm:contextlost');
   }
-  requestAnimationFrame(frame);
+  function onContextRestored() {
+    try {
+      each((h) => h.restoreGL());
+      resize();
+    } catch (error) {
+      emit('wm:error', { error });
+      return;
+    }
+    setShared({ contextLost: false });
+    emit('wm:contextrestored');
+  }
+
+  // Listeners exist while the stage has layers
+  let io = null;
+  function attach() {
+    window.addEventListener('resize', resize, { passive: true });
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    if (motionMQ) {
+      if (motionMQ.addEventListener) motionMQ.addEventListener('change', onMotionChange);
+      else motionMQ.addListener(onMotionChange); // Safari < 14
+    }
+    // Pause when offscreen or when the tab is hidden
+    io = ('IntersectionObserver' in window)
+      ? new IntersectionObserver((entries) => {
+          for (const e of entries) setShared({ onScreen: e.isIntersecting });
+        })
+      : null;
+    if (io) io.observe(canvas);
+    canvas.addEventListener('webglcontextlost', onContextLost);
+    canvas.addEventListener('webglcontextrestored', onContextRestored);
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerUp);
+    canvas.addEventListener('pointerleave', onPointerLeave);
+    canvas.addEventListener('click', onClick);
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    updateTouchAction();
+  }
+  function detach() {
+    cancelFly();
+    if (rafId) cancelAnimationFrame(rafId);
+    rafId = 0;
+    window.removeEventListener('resize', resize);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    if (motionMQ) {
+      if (motionMQ.removeEventListener) motionMQ.removeEventListener('change', onMotionChange);
+      else motionMQ.removeListener(onMotionChange);
+    }
+    if (io) io.disconnect();
+    io = null;
+    canvas.removeEventListener('webglcontextlost', onContextLost);
+    canvas.removeEventListener('webglcontextrestored', onContextRestored);
+    canvas.removeEventListener('pointerdown', onPointerDown);
+    canvas.removeEventListener('pointermove', onPointerMove);
+    canvas.removeEventListener('pointerup', onPointerUp);
+    canvas.removeEventListener('pointercancel', onPointerUp);
+    canvas.removeEventListener('pointerleave', onPointerLeave);
+    canvas.removeEventListener('click', onClick);
+    canvas.removeEventListener('wheel', onWheel);
+    drag.clear();
+  }
+
+  // Add a layer (drawn in `order`, bottom first); the camera refits to the
+  // layers' data unless a viewBox is set
+  function add(hooks, order = 0) {
+    if (!layers.length) attach();
+    layers.push({ hooks, order });
+    layers.sort((a, b) => a.order - b.order);
+    computeViewBox();
+    cam.x = cam.y = null; // recenter on the new viewBox
+    resize();
+  }
+
+  function remove(hooks) {
+    const i = layers.findIndex((l) => l.hooks === hooks);
+    if (i < 0) return;
+    layers.splice(i, 1);
+    if (!layers.length) detach();
+    else sync();
+  }
+
+  // Camera options: unknown fit/align and non-finite zoom limits throw
+  // OPTION_INVALID
+  function checkOptions(partial) {
+    if (partial.fit !== undefined)     checkFit(partial.fit);
+    if (partial.align !== undefined)   parseAlign(partial.align);
+    if (partial.minZoom !== undefined) checkNumber(partial.minZoom, 'minZoom');
+    if (partial.maxZoom !== undefined) checkNumber(partial.maxZoom, 'maxZoom');
+  }
+
+  const api = {
+    canvas, gl, base, view, cam, css, state,
+    prefersReducedMotion: () => !!motionMQ?.matches,
+    sync, add, remove, clientToData, dataToCanvas, flyTo,
+    // A layer's data (and so its data box) changed
+    dataChanged() {
+      computeViewBox();
+      updateView();
+      applyCamera();
+    },
+    checkOptions,
+    // Camera options (CAMERA_OPTIONS), validated before anything changes
+    setOptions(partial = {}) {
+      const has = (k) => partial[k] !== undefined;
+      checkOptions(partial);
+      if (has('fit'))        fit = partial.fit;
+      if (has('align'))      align = partial.align;
+      if (has('minZoom'))    minZoom = +partial.minZoom;
+      if (has('maxZoom'))    maxZoom = +partial.maxZoom;
+      if (has('zoomBounds')) zoomBounds = !!partial.zoomBounds;
+      if (has('panZoom')) {
+        panZoom = !!partial.panZoom;
+        updateTouchAction();
+      }
+      if (has('viewBox')) {
+        viewBox = partial.viewBox;
+        computeViewBox();
+        cam.x = cam.y = null; // recenter on the new viewBox
+      }
+      if (CAMERA_OPTIONS.some(has) && layers.length) {
+        updateView();
+        applyCamera();
+      }
+    },
+    // Layer i's view of the stage; keeps draw order independent of which
+    // layer finished loading first
+    slot(order) {
+      return { ...api, add: (hooks) => add(hooks, order) };
+    },
+    destroy() {
+      layers.length = 0;
+      detach();
+    },
+  };
+  return api;
+}
+
+// Several dot layers on one canvas and WebGL context, drawn on one stage
+// (see createStage): one draw loop, one camera and one set of listeners, so
+// wm:viewchange, wm:contextlost etc. fire once per canvas. The viewBox is
+// the union of the layers' data unless `viewBox` is given. `layers` holds
+// per-layer initRipple options (data/dataUrl, targetDotPx, cornerPct,
+// idleColor/brightColor, ripple, cycleSec, ...), drawn first to last
+// (bottom to top); all other options are shared. Canvas and camera options
+// (STAGE_OPTIONS) belong next to `layers`; setting one on a layer throws
+// OPTION_INVALID. Only the top layer picks unless a layer sets `picking`
+// itself.
+//   → resolves to { layers: [controller, ...], setOptions(), flyTo(),
+//     pause(), resume(), destroy(), project(), unproject(), running, view }
+const STAGE_OPTIONS = ['canvasSelector', 'dprCap', 'fpsCap', ...CAMERA_OPTIONS];
+export async function initRippleLayers({ layers = [], ...shared } = {}) {
+  if (!layers.length) throw new WmRippleError('DATA_INVALID', 'layers must list at least one layer.');
+  for (const layer of layers) {
+    const key = STAGE_OPTIONS.find((k) => layer[k] !== undefined);
+    if (key) throw new WmRippleError('OPTION_INVALID', `${key} is shared by all layers; set it next to layers.`);
+  }
+  const {
+    canvasSelector = '#wm-canvas',
+    fpsCap, dprCap, viewBox, fit, align, panZoom, minZoom, maxZoom, zoomBounds,
+    ...rest
+  } = shared;
+  const { canvas, gl } = getCanvasContext(canvasSelector);
+  const stage = createStage(canvas, gl, { fpsCap, dprCap, viewBox, fit, align, panZoom, minZoom, maxZoom, zoomBounds });
+
+  const top = layers.length - 1;
+  const results = await Promise.allSettled(layers.map((layer, i) => initRipple({
+    ...rest,
+    ...layer,
+    picking: layer.picking ?? (i === top && (rest.picking ?? true)),
+    stage: stage.slot(i),
+  })));
+  const handles = results.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+  const failed = results.find((r) => r.status === 'rejected');
+  if (failed) {
+    handles.forEach((h) => h.destroy());
+    stage.destroy();
+    throw failed.reason;
+  }
+
+  return {
+    layers: handles,
+    // Camera options go to the stage once, the rest to every layer; use
+    // layers[i].setOptions() for one layer
+    setOptions(partial = {}) {
+      const camera = {}, layer = {};
+      for (const [k, v] of Object.entries(partial)) (CAMERA_OPTIONS.includes(k) ? camera : layer)[k] = v;
+      stage.checkOptions(camera); // before any layer changes
+      handles.forEach((h) => h.setOptions(layer));
+      stage.setOptions(camera);
+    },
+    // One camera: any layer's flyTo moves all of them
+    flyTo(target, duration) {
+      return handles[top].flyTo(target, duration);
+    },
+    pause() {
+      handles.forEach((h) => h.pause());
+    },
+    resume() {
+      handles.forEach((h) => h.resume());
+    },
+    destroy() {
+      handles.forEach((h) => h.destroy());
+      stage.destroy();
+    },
+    get running() {
+      return handles.some((h) => h.running);
+    },
+    get view() {
+      return handles[0].view;
+    },
+    project(lon, lat) {
+      return handles[0].project(lon, lat);
+    },
+    unproject(x, y) {
+      return handles[0].unproject(x, y);
+    },
+  };
 }
@@ -1,4 +1,9 @@
 // wm-ripple-gl.js — Standalone WebGL2 ripple renderer (no OGL dependency)
+// Exports: default async function initRipple(options), which rejects with
+// WmRippleError (named export) if the map cannot start; same error shape
+// as wm-ripple-gl-standalone.js (this build has no OPTION_INVALID checks).
+// Events (CustomEvent, dispatched on the canvas):
+//   wm:contextlost, wm:contextrestored, wm:error { detail.error }
 
 /* ---------------------------
    Small helpers
@@ -12,21 +17,51 @@ function cssHexToLinearRGB(hex) {
   return [toLin(r), toLin(g), toLin(b)];
 }
 
+// Error type for every init failure; `code` is one of:
+//   CANVAS_NOT_FOUND, WEBGL2_UNAVAILABLE, DATA_FETCH_FAILED, DATA_INVALID,
+//   SHADER_COMPILE, PROGRAM_LINK
+// `cause` holds the underlying error (if any); shader errors carry `source`
+// with line numbers so driver log lines ("0:12: ...") can be matched up.
+export class WmRippleError extends Error {
+  constructor(code, message, { cause, source } = {}) {
+    super('[wm] ' + message);
+    this.name = 'WmRippleError';
+    this.code = code;
+    if (cause !== undefined) this.cause = cause;
+    if (source !== undefined) this.source = source;
+  }
+}
+
+function numberLines(src) {
+  const lines = src.split('\n');
+  const w = String(lines.length).length;
+  return lines.map((l, i) => String(i + 1).padStart(w, ' ') + ': ' + l).join('\n');
+}
+
 function createShader(gl, type, src) {
   const sh = gl.createShader(type);
   gl.shaderSource(sh, src);
   gl.compileShader(sh);
   if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) {
-    const log = gl.getShaderInfoLog(sh) || 'compile failed';
+    const log = gl.getShaderInfoLog(sh) || 'shader compile failed';
     gl.deleteShader(sh);
-    throw new Error('Shader compile error: ' + log);
+    const stage = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+    throw new WmRippleError('SHADER_COMPILE', `${stage} shader: ${log}`, {
+      source: numberLines(src),
+    });
   }
   return sh;
 }
 
 function createProgram(gl, vertSrc, fragSrc, attribBind = null) {
   const vs = createShader(gl, gl.VERTEX_SHADER, vertSrc);
-  const fs = createShader(gl, gl.FRAGMENT_SHADER, fragSrc);
+  let fs;
+  try {
+    fs = createShader(gl, gl.FRAGMENT_SHADER, fragSrc);
+  } catch (e) {
+    gl.deleteShader(vs);
+    throw e;
+  }
   const prg = gl.createProgram();
   gl.attachShader(prg, vs);
   gl.attachShader(prg, fs);
@@ -35,9 +70,11 @@ function createProgram(gl, vertSrc, fragSrc, attribBind = null) {
   gl.deleteShader(vs);
   gl.deleteShader(fs);
   if (!gl.getProgramParameter(prg, gl.LINK_STATUS)) {
-    const log = gl.getProgramInfoLog(prg) || 'link failed';
+    const log = gl.getProgramInfoLog(prg) || 'program link failed';
     gl.deleteProgram(prg);
-    throw new Error('Program link error: ' + log);
+    throw new WmRippleError('PROGRAM_LINK', log, {
+      source: '// vertex\n' + numberLines(vertSrc) + '\n\n// fragment\n' + numberLines(fragSrc),
+    });
   }
   return prg;
 }
@@ -59,16 +96,10 @@ export default async function initRipple(opts = {}) {
 
   // 1) Canvas + WebGL2
   const canvas = document.querySelector(canvasSelector);
-  if (!canvas) {
-    console.error('[wm] Canvas not found:', canvasSelector);
-    return;
-  }
+  if (!canvas) throw new WmRippleError('CANVAS_NOT_FOUND', 'Canvas not found: ' + canvasSelector);
 
   const gl = canvas.getContext('webgl2', { alpha: true, antialias: false, powerPreference: 'high-performance' });
-  if (!gl) {
-    console.error('[wm] WebGL2 not available.');
-    return;
-  }
+  if (!gl) throw new WmRippleError('WEBGL2_UNAVAILABLE', 'WebGL2 not available.');
 
   // 2) Colors from CSS (linear)
   const idleHex   = getComputedStyle(document.documentElement).getPropertyValue('--idle').trim()   || '#276C8C';
@@ -77,20 +108,22 @@ export default async function initRipple(opts = {}) {
   const BRIGHT = cssHexToLinearRGB(brightHex);
 
   // 3) Load data
-  if (!dataUrl) { console.error('[wm] dataUrl missing'); return; }
-  let pts;
+  if (!dataUrl) throw new WmRippleError('DATA_INVALID', 'dataUrl missing');
+  let res, pts;
   try {
-    const res = await fetch(dataUrl, { cache: 'no-store' });
+    res = await fetch(dataUrl, { cache: 'no-store' });
     if (!res.ok) throw new Error('HTTP ' + res.status);
-    pts = await res.json();
   } catch (e) {
-    console.error('[wm] Data fetch failed:', e?.message || e);
-    return;
+    throw new WmRippleError('DATA_FETCH_FAILED', 'Data fetch failed: ' + (e?.message || e), { cause: e });
   }
-  if (!Array.isArray(pts) || !pts.length) {
-    console.error('[wm] Data invalid/empty');
-    return;
+  try {
+    pts = await res.json();
+  } catch (e) {
+    throw new WmRippleError('DATA_INVALID', 'Data is not valid JSON', { cause: e });
   }
+  if (!Array.isArray(pts) || !pts.length) throw new WmRippleError('DATA_INVALID', 'Data invalid/empty');
+  const bad = pts.findIndex((p) => !Number.isFinite(p?.x) || !Number.isFinite(p?.y));
+  if (bad >= 0) throw new WmRippleError('DATA_INVALID', `Point ${bad} has non-numeric x/y.`);
 
   // 4) Compute bounds & padding
   let minX=Infinity, minY=Infinity, maxX=-Infinity, maxY=-Infinity, maxR=0;
@@ -148,24 +181,6 @@ export default async function initRipple(opts = {}) {
     -0.5, 0.5,   0.5,-0.5,   0.5, 0.5
   ]);
 
-  const vao = gl.createVertexArray();
-  gl.bindVertexArray(vao);
-
-  // Static quad buffer
-  const quadBuf = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, quadBuf);
-  gl.bufferData(gl.ARRAY_BUFFER, quadVerts, gl.STATIC_DRAW);
-
-  // Instance centers
-  const centerBuf = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, centerBuf);
-  gl.bufferData(gl.ARRAY_BUFFER, instCenters, gl.STATIC_DRAW);
-
-  // Instance delays
-  const delayBuf = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, delayBuf);
-  gl.bufferData(gl.ARRAY_BUFFER, instDelay, gl.STATIC_DRAW);
-
   // 7) Shaders
   const vertSrc = `#version 300 es
     layout(location=0) in vec2 aPos;     // quad vertex (-0.5..0.5)
@@ -236,48 +251,72 @@ export default async function initRipple(opts = {}) {
     }
   `;
 
-  // 8) Program + attribute bindings
-  const program = createProgram(gl, vertSrc, fragSrc);
-  gl.useProgram(program);
-
-  // attributes
-  const locPos    = 0;
-  const locCenter = 1;
-  const locDelay  = 2;
-
-  // aPos (quad)
-  gl.bindBuffer(gl.ARRAY_BUFFER, quadBuf);
-  gl.enableVertexAttribArray(locPos);
-  gl.vertexAttribPointer(locPos, 2, gl.FLOAT, false, 0, 0);
-  gl.vertexAttribDivisor(locPos, 0);
-
-  // aCenter (instanced)
-  gl.bindBuffer(gl.ARRAY_BUFFER, centerBuf);
-  gl.enableVertexAttribArray(locCenter);
-  gl.vertexAttribPointer(locCenter, 2, gl.FLOAT, false, 0, 0);
-  gl.vertexAttribDivisor(locCenter, 1);
-
-  // aDelay (instanced)
-  gl.bindBuffer(gl.ARRAY_BUFFER, delayBuf);
-  gl.enableVertexAttribArray(locDelay);
-  gl.vertexAttribPointer(locDelay, 1, gl.FLOAT, false, 0, 0);
-  gl.vertexAttribDivisor(locDelay, 1);
-
-  // uniforms
-  const uBounds = gl.getUniformLocation(program, 'uBounds');
-  const uScale  = gl.getUniformLocation(program, 'uScale');
-  const uOffset = gl.getUniformLocation(program, 'uOffset');
-  const uTime   = gl.getUniformLocation(program, 'uTime');
-  const uCycle  = gl.getUniformLocation(program, 'uCycle');
-  const uCorner = gl.getUniformLocation(program, 'uCorner');
-  const uIdle   = gl.getUniformLocation(program, 'uIdle');
-  const uBright = gl.getUniformLocation(program, 'uBright');
-
-  // Set static uniforms
-  gl.uniform1f(uCycle,  cycleSec);
-  gl.uniform1f(uCorner, cornerPct * 0.5); // map 0..1 to 0..0.5 (half-size space)
-  gl.uniform3fv(uIdle,   IDLE);
-  gl.uniform3fv(uBright, BRIGHT);
+  // 8) GPU resources (rebuilt from the CPU-side arrays after context restore)
+  const U = {};
+  let program = null, vao = null, quadBuf = null, centerBuf = null, delayBuf = null;
+
+  function createGLResources() {
+    vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+
+    // Static quad buffer
+    quadBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, quadVerts, gl.STATIC_DRAW);
+
+    // Instance centers
+    centerBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, centerBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, instCenters, gl.STATIC_DRAW);
+
+    // Instance delays
+    delayBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, delayBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, instDelay, gl.STATIC_DRAW);
+
+    // Program + attribute bindings
+    program = createProgram(gl, vertSrc, fragSrc);
+    gl.useProgram(program);
+
+    // attributes
+    const locPos    = 0;
+    const locCenter = 1;
+    const locDelay  = 2;
+
+    // aPos (quad)
+    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuf);
+    gl.enableVertexAttribArray(locPos);
+    gl.vertexAttribPointer(locPos, 2, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(locPos, 0);
+
+    // aCenter (instanced)
+    gl.bindBuffer(gl.ARRAY_BUFFER, centerBuf);
+    gl.enableVertexAttribArray(locCenter);
+    gl.vertexAttribPointer(locCenter, 2, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(locCenter, 1);
+
+    // aDelay (instanced)
+    gl.bindBuffer(gl.ARRAY_BUFFER, delayBuf);
+    gl.enableVertexAttribArray(locDelay);
+    gl.vertexAttribPointer(locDelay, 1, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(locDelay, 1);
+
+    // uniforms
+    for (const name of ['uBounds','uScale','uOffset','uTime','uCycle','uCorner','uIdle','uBright']) {
+      U[name] = gl.getUniformLocation(program, name);
+    }
+
+    // Set static uniforms
+    gl.uniform1f(U.uCycle,  cycleSec);
+    gl.uniform1f(U.uCorner, cornerPct * 0.5); // map 0..1 to 0..0.5 (half-size space)
+    gl.uniform3fv(U.uIdle,   IDLE);
+    gl.uniform3fv(U.uBright, BRIGHT);
+
+    // Draw state
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND); // opaque squares
+    gl.clearColor(0,0,0,0);
+  }
 
   // transform (SVG-like viewBox mapping to NDC)
   let dotSizeData = 1;
@@ -287,9 +326,9 @@ export default async function initRipple(opts = {}) {
     const ox = -1.0 - vbX * sx;
     const oy =  1.0 - vbY * sy;
 
-    gl.uniform3f(uBounds, vbX, vbY, dotSizeData);
-    gl.uniform2f(uScale,  sx, sy);
-    gl.uniform2f(uOffset, ox, oy);
+    gl.uniform3f(U.uBounds, vbX, vbY, dotSizeData);
+    gl.uniform2f(U.uScale,  sx, sy);
+    gl.uniform2f(U.uOffset, ox, oy);
   }
 
   // 9) Resize handling (CSS pixels -> device pixels)
@@ -300,38 +339,90 @@ export default async function initRipple(opts = {}) {
     const h = Math.max(1, Math.round(rect.height * dpr));
     if (canvas.width !== w || canvas.height !== h) {
       canvas.width = w; canvas.height = h;
-      gl.viewport(0, 0, w, h);
     }
+    gl.viewport(0, 0, w, h);
     const pxPerDataX = (rect.width || 1) / vbW;
     dotSizeData = targetDotPx / Math.max(pxPerDataX, 1e-6);
     updateTransforms();
   }
-  window.addEventListener('resize', resize, { passive:true });
-  resize();
 
-  // 10) Draw state
-  gl.disable(gl.DEPTH_TEST);
-  gl.disable(gl.BLEND); // opaque squares
-  gl.clearColor(0,0,0,0);
+  // 10) Play state: reduced motion, on-screen, tab visibility and context
+  // loss combine into one decision; the rAF loop only exists while needed.
+  const play = {
+    reducedMotion: false,
+    onScreen: true,
+    pageVisible: document.visibilityState !== 'hidden',
+    contextLost: false,
+  };
+  let needsDraw = true; // one frame owed (first paint, resize, restore)
+  let rafId = 0;
+  let animSec = 0, lastT = -1; // animSec only advances while animating
+
+  const animating = () =>
+    !play.contextLost && !play.reducedMotion && play.onScreen && play.pageVisible;
+
+  function syncLoop() {
+    const want = !play.contextLost && (animating() || needsDraw);
+    if (!animating()) lastT = -1;
+    if (want && !rafId) rafId = requestAnimationFrame(tick);
+    else if (!want && rafId) { cancelAnimationFrame(rafId); rafId = 0; }
+  }
+  function setPlayState(patch) { Object.assign(play, patch); syncLoop(); }
+  function requestDraw() { needsDraw = true; syncLoop(); }
+
+  createGLResources();
+  window.addEventListener('resize', () => { resize(); requestDraw(); }, { passive:true });
+  resize();
 
-  // respect reduced motion + intersection
-  let running = true;
-  if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-    running = false;
+  // Context loss: stop drawing, rebuild GPU state on restore and
+  // notify the page via 'wm:contextlost' / 'wm:contextrestored' on the canvas
+  // ('wm:error' with detail.error if the rebuild itself fails).
+  canvas.addEventListener('webglcontextlost', (e) => {
+    e.preventDefault(); // allow the browser to restore
+    setPlayState({ contextLost: true });
+    canvas.dispatchEvent(new CustomEvent('wm:contextlost'));
+  });
+  canvas.addEventListener('webglcontextrestored', () => {
+    try {
+      createGLResources();
+      resize();
+    } catch (error) {
+      canvas.dispatchEvent(new CustomEvent('wm:error', { detail: { error } }));
+      return;
+    }
+    needsDraw = true;
+    setPlayState({ contextLost: false });
+    canvas.dispatchEvent(new CustomEvent('wm:contextrestored'));
+  });
+
+  // respect reduced motion (live) + intersection + tab visibility
+  const motionMQ = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  const onMotionChange = () => setPlayState({ reducedMotion: !!motionMQ.matches });
+  if (motionMQ) {
+    if (motionMQ.addEventListener) motionMQ.addEventListener('change', onMotionChange);
+    else motionMQ.addListener(onMotionChange);
+    play.reducedMotion = motionMQ.matches;
   }
   const io = ('IntersectionObserver' in window) ? new IntersectionObserver(entries=>{
-    for (const e of entries) running = e.isIntersecting;
+    for (const e of entries) setPlayState({ onScreen: e.isIntersecting });
   }) : null;
   if (io) io.observe(canvas);
+  document.addEventListener('visibilitychange', () => {
+    setPlayState({ pageVisible: document.visibilityState !== 'hidden' });
+  });
 
   // 11) Render loop
   function tick(tMs) {
-    if (running) {
-      gl.clear(gl.COLOR_BUFFER_BIT);
-      gl.uniform1f(uTime, tMs * 0.001);
-      gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, N);
+    rafId = 0;
+    if (animating()) {
+      if (lastT >= 0) animSec += (tMs - lastT) * 0.001;
+      lastT = tMs;
     }
-    requestAnimationFrame(tick);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.uniform1f(U.uTime, animSec);
+    gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, N);
+    needsDraw = false;
+    syncLoop();
   }
-  requestAnimationFrame(tick);
+  syncLoop();
 }